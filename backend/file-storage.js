@@ -0,0 +1,52 @@
+/**
+ * Galaxy Defender - File Storage
+ * A localStorage-compatible key/value store persisted to a JSON file, so the
+ * shared Leaderboard class can run unchanged on the server
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class FileStorage {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.items = this.read();
+    }
+
+    read() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Ignoring unreadable storage file ${this.filePath}:`, error.message);
+            }
+            return {};
+        }
+    }
+
+    // Writes to a temporary file first so a crash never leaves a half-written store
+    write() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.items, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+
+    getItem(key) {
+        return Object.prototype.hasOwnProperty.call(this.items, key) ? this.items[key] : null;
+    }
+
+    setItem(key, value) {
+        this.items[key] = String(value);
+        this.write();
+    }
+
+    removeItem(key) {
+        if (key in this.items) {
+            delete this.items[key];
+            this.write();
+        }
+    }
+}
+
+module.exports = { FileStorage };
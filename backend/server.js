@@ -0,0 +1,324 @@
+/**
+ * Galaxy Defender - Leaderboard Server
+ * Small dependency-free HTTP service for global high scores. Scores are kept in
+ * a JSON file through the same Leaderboard class the browser uses, and the game
+ * itself is served from the repository root so it can reach the API same-origin.
+ * Submissions carry the run's seed and input log; the server replays them with
+ * the game's own simulation, on a worker thread, and only records the score the
+ * replay produces.
+ *
+ *   node backend/server.js            (PORT and DATA_FILE override the defaults)
+ *
+ *   GET  /api/scores?mode=endless&limit=10  -> { mode, label, entries, modes }
+ *   POST /api/scores { name, score, time, level, seed, mode, replay }
+ *                                           -> 201 { rank, entries } | 200 { rank: -1 }
+ *                                           | 422 { error } when the replay disagrees
+ *                                           | 409 { error } when the same run was already recorded
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { FileStorage } = require('./file-storage.js');
+const { Leaderboard } = require('../frontend/src/leaderboard.js');
+const { GameSimulation } = require('../frontend/src/simulation.js');
+const { validateLevel, LEVEL_ID_PATTERN } = require('../frontend/src/levels.js');
+const { replayRun, ReplayError } = require('../frontend/src/replay.js');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const DEFAULT_PORT = 3000;
+const DEFAULT_DATA_FILE = path.join(__dirname, 'data', 'scores.json');
+const LEVELS_DIR = path.join(ROOT_DIR, 'assets', 'levels');
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+// Far past any real run (the longest achievement is 5 minutes), while keeping a
+// replay to a few seconds of simulation
+const MAX_RUN_TIME = 30 * 60 * 1000;
+const GLOBAL_TABLE_SIZE = 100;
+const DEFAULT_LIMIT = 10;
+const MODE_PATTERN = LEVEL_ID_PATTERN; // 'endless' or a level's id
+const SUBMISSIONS_KEY = 'galaxyDefenderSubmissions';
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.ogg': 'audio/ogg',
+    '.mp3': 'audio/mpeg'
+};
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// Checks the shape of a submitted score; the numbers are only claims until verified
+function parseSubmission(body) {
+    if (!body || typeof body !== 'object') {
+        throw new HttpError(400, 'body must be a JSON object');
+    }
+    const { name, score, time, level, seed, mode, replay } = body;
+    if (typeof name !== 'string') {
+        throw new HttpError(400, 'name must be a string');
+    }
+    if (!Number.isInteger(score) || score < 0) {
+        throw new HttpError(400, 'score must be a non-negative integer');
+    }
+    if (typeof time !== 'number' || !Number.isFinite(time) || time < 0) {
+        throw new HttpError(400, 'time must be a non-negative number of milliseconds');
+    }
+    if (!Number.isInteger(level) || level < 1) {
+        throw new HttpError(400, 'level must be a positive integer');
+    }
+    if (!Number.isInteger(seed) || seed < 0 || seed > 0xffffffff) {
+        throw new HttpError(400, 'seed must be a 32-bit unsigned integer');
+    }
+    if (typeof mode !== 'string' || !MODE_PATTERN.test(mode)) {
+        throw new HttpError(400, 'mode must be lowercase letters, digits and dashes');
+    }
+    if (!replay || typeof replay !== 'object') {
+        throw new HttpError(400, 'replay is required to verify the score');
+    }
+
+    return { name, score, time, level, seed, mode, replay };
+}
+
+// Level scripts by game mode, so level runs can be replayed with the same waves
+function loadLevels() {
+    const levels = new Map();
+    let files = [];
+    try {
+        files = fs.readdirSync(LEVELS_DIR).filter((file) => file.endsWith('.json'));
+    } catch (error) {
+        console.warn(`No level scripts found in ${LEVELS_DIR}:`, error.message);
+    }
+    for (const file of files) {
+        try {
+            const level = JSON.parse(fs.readFileSync(path.join(LEVELS_DIR, file), 'utf8'));
+            validateLevel(level, GameSimulation.DEFAULT_OBJECT_TYPES);
+            levels.set(GameSimulation.modeFor(level), level);
+        } catch (error) {
+            console.warn(`Skipping level ${file}:`, error.message);
+        }
+    }
+    return levels;
+}
+
+// Re-simulates a submission and returns the verified result, or throws a 422
+// naming the first claim the replay does not reproduce
+function verifySubmission(submission, levels) {
+    const level = submission.mode === 'endless' ? null : levels.get(submission.mode);
+    if (level === undefined) {
+        throw new HttpError(422, `unknown game mode "${submission.mode}"`);
+    }
+
+    let result;
+    try {
+        result = replayRun(submission.seed, submission.replay, { level, maxTime: MAX_RUN_TIME });
+    } catch (error) {
+        if (error instanceof ReplayError) {
+            throw new HttpError(422, `replay rejected: ${error.message}`);
+        }
+        throw error;
+    }
+
+    const checks = [
+        ['score', submission.score, result.score],
+        ['level', submission.level, result.level],
+        ['time', Math.round(submission.time), Math.round(result.time)]
+    ];
+    for (const [field, claimed, actual] of checks) {
+        if (claimed !== actual) {
+            throw new HttpError(422, `claimed ${field} ${claimed} does not match the replayed ${field} ${actual}`);
+        }
+    }
+
+    return { ...result, time: Math.round(result.time) };
+}
+
+// Runs verifySubmission on a worker thread, so replaying a long run does not stall
+// every other request
+function verifyInWorker(submission, levels) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(__filename, { workerData: { submission, levels: [...levels] } });
+        worker.once('message', ({ result, error }) => {
+            if (error) reject(new HttpError(error.status, error.message));
+            else resolve(result);
+        });
+        worker.once('error', reject);
+    });
+}
+
+// Identifies a run by its seed and the steps its replay took, whatever name it is
+// submitted under and however its replay was written down
+function runDigest(result) {
+    return crypto.createHash('sha256')
+        .update(`${result.mode}:${result.seed}:${JSON.stringify(result.replay)}`)
+        .digest('hex');
+}
+
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new HttpError(413, `request body exceeds ${MAX_BODY_BYTES} bytes`));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(new HttpError(400, `invalid JSON (${error.message})`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, payload) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(payload));
+}
+
+function serveStatic(res, pathname) {
+    let relative;
+    try {
+        relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (error) {
+        throw new HttpError(400, 'malformed URL');
+    }
+    const filePath = path.resolve(ROOT_DIR, `.${relative}`);
+
+    // Never serve anything outside the repository, dotfiles (.git) or the score data itself
+    const hidden = relative.split('/').some((segment) => segment.startsWith('.'));
+    if (hidden || !filePath.startsWith(ROOT_DIR + path.sep) || filePath.startsWith(path.join(__dirname, 'data'))) {
+        throw new HttpError(404, 'not found');
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            sendJson(res, 404, { error: 'not found' });
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+function createServer(options = {}) {
+    const storage = new FileStorage(options.dataFile || DEFAULT_DATA_FILE);
+    const leaderboard = new Leaderboard({ storage, maxEntries: GLOBAL_TABLE_SIZE });
+    const levels = loadLevels();
+
+    // Digests of runs that made it into a table; a run that did not place never can,
+    // since table scores only go up
+    const recordedRuns = new Set(JSON.parse(storage.getItem(SUBMISSIONS_KEY) || '[]'));
+
+    // Submissions are verified one at a time, so a burst of them cannot start a
+    // worker each
+    let verifying = Promise.resolve();
+    function verify(submission) {
+        const verified = verifying.then(() => verifyInWorker(submission, levels));
+        verifying = verified.catch(() => {});
+        return verified;
+    }
+
+    function listScores(url) {
+        const mode = url.searchParams.get('mode') || 'endless';
+        if (!MODE_PATTERN.test(mode)) {
+            throw new HttpError(400, 'mode must be lowercase letters, digits and dashes');
+        }
+        const requested = Math.floor(Number(url.searchParams.get('limit'))) || DEFAULT_LIMIT;
+        const limit = Math.max(1, Math.min(GLOBAL_TABLE_SIZE, requested));
+        const modes = leaderboard.getModes();
+        const current = modes.find((option) => option.mode === mode);
+        return {
+            mode,
+            label: current ? current.label : mode,
+            entries: leaderboard.getEntries(mode).slice(0, limit),
+            modes
+        };
+    }
+
+    async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname === '/api/scores') {
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204, {
+                    'Access-Control-Allow-Origin': '*',
+                    'Access-Control-Allow-Methods': 'GET, POST',
+                    'Access-Control-Allow-Headers': 'Content-Type'
+                });
+                res.end();
+            } else if (req.method === 'GET') {
+                sendJson(res, 200, listScores(url));
+            } else if (req.method === 'POST') {
+                const submission = parseSubmission(await readJsonBody(req));
+                const result = await verify(submission);
+                const digest = runDigest(result);
+                if (recordedRuns.has(digest)) {
+                    throw new HttpError(409, 'this run has already been submitted');
+                }
+                const rank = leaderboard.submit(submission.name, result);
+                if (rank >= 0) {
+                    recordedRuns.add(digest);
+                    storage.setItem(SUBMISSIONS_KEY, JSON.stringify([...recordedRuns]));
+                }
+                const entries = leaderboard.getEntries(result.mode).slice(0, DEFAULT_LIMIT);
+                sendJson(res, rank >= 0 ? 201 : 200, { rank, entries });
+            } else {
+                throw new HttpError(405, `${req.method} is not supported`);
+            }
+        } else if (req.method === 'GET' || req.method === 'HEAD') {
+            serveStatic(res, url.pathname);
+        } else {
+            throw new HttpError(404, 'not found');
+        }
+    }
+
+    return http.createServer((req, res) => {
+        handle(req, res).catch((error) => {
+            if (!(error instanceof HttpError)) {
+                console.error('Unexpected server error:', error);
+            }
+            if (!res.headersSent) {
+                sendJson(res, error.status || 500, { error: error.status ? error.message : 'internal server error' });
+            }
+        });
+    });
+}
+
+if (!isMainThread) {
+    const { submission, levels } = workerData;
+    try {
+        parentPort.postMessage({ result: verifySubmission(submission, new Map(levels)) });
+    } catch (error) {
+        if (!(error instanceof HttpError)) throw error;
+        parentPort.postMessage({ error: { status: error.status, message: error.message } });
+    }
+} else if (require.main === module) {
+    const port = Number(process.env.PORT) || DEFAULT_PORT;
+    createServer({ dataFile: process.env.DATA_FILE }).listen(port, () => {
+        console.log(`Galaxy Defender server listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createServer, parseSubmission, verifySubmission, HttpError };
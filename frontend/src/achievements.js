@@ -0,0 +1,174 @@
+/**
+ * Galaxy Defender - Achievements
+ * Goals unlocked by listening to simulation events, with progress and unlocks
+ * persisted in localStorage
+ */
+
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { browserStorage } = isNode ? require('./memory-storage.js') : global;
+
+    const SCHEMA_VERSION = 1;
+
+    // Each achievement unlocks once stats[stat] reaches goal. total* stats add up over
+    // every run; the rest are the best a single run has managed. unit 'time' goals are
+    // milliseconds.
+    const ACHIEVEMENTS = [
+        { id: 'firstStar', icon: '⭐', name: 'Stargazer', description: 'Collect your first star', stat: 'totalStars', goal: 1 },
+        { id: 'starHoarder', icon: '🌟', name: 'Star Hoarder', description: 'Collect 1,000 stars in total', stat: 'totalStars', goal: 1000 },
+        { id: 'constellation', icon: '✨', name: 'Constellation', description: 'Collect 40 stars in one run', stat: 'runStars', goal: 40 },
+        { id: 'liftOff', icon: '🚀', name: 'Lift Off', description: 'Reach level 5', stat: 'level', goal: 5 },
+        { id: 'deepSpace', icon: '🌌', name: 'Deep Space', description: 'Reach level 10', stat: 'level', goal: 10 },
+        { id: 'survivor', icon: '⏱️', name: 'Survivor', description: 'Survive for 2 minutes', stat: 'time', goal: 120000, unit: 'time' },
+        { id: 'marathon', icon: '🏅', name: 'Marathon', description: 'Survive for 5 minutes', stat: 'time', goal: 300000, unit: 'time' },
+        { id: 'closeCall', icon: '😅', name: 'Close Call', description: 'Narrowly dodge a hazard', stat: 'totalNearMisses', goal: 1 },
+        { id: 'daredevil', icon: '🔥', name: 'Daredevil', description: 'Narrowly dodge 20 hazards in one run', stat: 'runNearMisses', goal: 20 },
+        { id: 'purist', icon: '🧘', name: 'Purist', description: 'Reach level 3 without collecting a star', stat: 'noStarLevel', goal: 3 }
+    ];
+
+    const EMPTY_STATS = {
+        totalStars: 0,
+        totalNearMisses: 0,
+        runStars: 0,
+        runNearMisses: 0,
+        level: 0,
+        time: 0,
+        noStarLevel: 0
+    };
+
+    class Achievements {
+        constructor(options = {}) {
+            // Looked up in load(): reading window.localStorage throws where storage is blocked
+            this.storage = options.storage || null;
+            this.storageKey = options.storageKey || 'galaxyDefenderAchievements';
+            this.definitions = options.achievements || ACHIEVEMENTS;
+            this.data = this.load();
+            this.listeners = {};
+
+            // Counts for the run in progress
+            this.run = { stars: 0, nearMisses: 0 };
+        }
+
+        load() {
+            try {
+                this.storage = this.storage || browserStorage();
+                const raw = this.storage.getItem(this.storageKey);
+                if (!raw) return { version: SCHEMA_VERSION, unlocked: {}, stats: { ...EMPTY_STATS } };
+
+                const data = JSON.parse(raw);
+                if (data.version !== SCHEMA_VERSION) {
+                    throw new Error(`unsupported achievements version ${data.version}`);
+                }
+                // Stats added since the data was saved start from zero
+                return { version: SCHEMA_VERSION, unlocked: data.unlocked || {}, stats: { ...EMPTY_STATS, ...data.stats } };
+            } catch (error) {
+                console.warn('Ignoring invalid saved achievements:', error);
+                return { version: SCHEMA_VERSION, unlocked: {}, stats: { ...EMPTY_STATS } };
+            }
+        }
+
+        save() {
+            try {
+                this.storage.setItem(this.storageKey, JSON.stringify(this.data));
+            } catch (error) {
+                console.warn('Could not save achievements:', error);
+            }
+        }
+
+        on(event, handler) {
+            (this.listeners[event] = this.listeners[event] || []).push(handler);
+        }
+
+        emit(event, payload) {
+            (this.listeners[event] || []).forEach((handler) => handler(payload));
+        }
+
+        // Follows a simulation's runs. Survival time has no event of its own, so the
+        // caller also passes the game time to updateTime() as it advances.
+        track(simulation) {
+            simulation.on('reset', () => {
+                this.run = { stars: 0, nearMisses: 0 };
+            });
+            simulation.on('collect', ({ object }) => {
+                if (object.type !== 'star') return;
+                this.run.stars++;
+                this.add('totalStars', 1);
+                this.record('runStars', this.run.stars);
+                this.check();
+            });
+            simulation.on('nearMiss', () => {
+                this.run.nearMisses++;
+                this.add('totalNearMisses', 1);
+                this.record('runNearMisses', this.run.nearMisses);
+                this.check();
+            });
+            simulation.on('levelUp', ({ level }) => {
+                this.record('level', level);
+                if (this.run.stars === 0) this.record('noStarLevel', level);
+                this.check();
+            });
+            simulation.on('gameOver', ({ time }) => {
+                this.updateTime(time);
+                this.save();
+            });
+        }
+
+        updateTime(time) {
+            if (time <= this.data.stats.time) return;
+            this.record('time', time);
+            this.check();
+        }
+
+        add(stat, amount) {
+            this.data.stats[stat] += amount;
+        }
+
+        record(stat, value) {
+            this.data.stats[stat] = Math.max(this.data.stats[stat], value);
+        }
+
+        // Unlocks every achievement whose goal has been reached, saving straight away so
+        // an unlock survives the tab being closed mid-run
+        check() {
+            const unlocked = this.definitions.filter((achievement) =>
+                !this.data.unlocked[achievement.id] && this.data.stats[achievement.stat] >= achievement.goal);
+            if (unlocked.length === 0) return;
+
+            const date = new Date().toISOString();
+            unlocked.forEach((achievement) => {
+                this.data.unlocked[achievement.id] = date;
+            });
+            this.save();
+            unlocked.forEach((achievement) => this.emit('unlock', achievement));
+        }
+
+        isUnlocked(id) {
+            return Boolean(this.data.unlocked[id]);
+        }
+
+        get unlockedCount() {
+            return this.definitions.filter((achievement) => this.isUnlocked(achievement.id)).length;
+        }
+
+        // Every achievement with its progress towards the goal and when it was unlocked
+        list() {
+            return this.definitions.map((achievement) => ({
+                ...achievement,
+                unlocked: this.isUnlocked(achievement.id),
+                unlockedAt: this.data.unlocked[achievement.id] || null,
+                progress: Math.min(this.data.stats[achievement.stat], achievement.goal)
+            }));
+        }
+    }
+
+    Achievements.SCHEMA_VERSION = SCHEMA_VERSION;
+    Achievements.DEFINITIONS = ACHIEVEMENTS;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { Achievements };
+    } else {
+        global.Achievements = Achievements;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
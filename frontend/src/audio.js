@@ -0,0 +1,255 @@
+/**
+ * Galaxy Defender - Audio Engine
+ * Synthesized sound effects and a looping soundtrack on the Web Audio API.
+ * Browsers only allow audio after a user gesture, so the context is created
+ * (or resumed) on the first click, key press or touch.
+ */
+
+// Each effect schedules oscillator/noise voices starting at audio time t
+const SOUND_EFFECTS = {
+    fire: (audio, t) => {
+        audio.tone({ type: 'square', freq: 880, endFreq: 440, duration: 0.08, volume: 0.08, time: t });
+    },
+    collect: (audio, t) => {
+        audio.tone({ type: 'sine', freq: 988, duration: 0.08, volume: 0.25, time: t });
+        audio.tone({ type: 'sine', freq: 1319, duration: 0.16, volume: 0.25, time: t + 0.07 });
+    },
+    powerUp: (audio, t) => {
+        [523, 659, 784, 1047].forEach((freq, i) => {
+            audio.tone({ type: 'triangle', freq, duration: 0.1, volume: 0.25, time: t + i * 0.06 });
+        });
+    },
+    hit: (audio, t) => {
+        audio.tone({ type: 'square', freq: 220, endFreq: 110, duration: 0.06, volume: 0.12, time: t });
+    },
+    explosion: (audio, t) => {
+        audio.noise({ duration: 0.5, volume: 0.5, filterFreq: 900, endFilterFreq: 120, time: t });
+        audio.tone({ type: 'sine', freq: 120, endFreq: 40, duration: 0.4, volume: 0.4, time: t });
+    },
+    lifeLost: (audio, t) => {
+        audio.noise({ duration: 0.7, volume: 0.6, filterFreq: 1500, endFilterFreq: 100, time: t });
+        audio.tone({ type: 'sawtooth', freq: 440, endFreq: 110, duration: 0.5, volume: 0.2, time: t });
+    },
+    levelUp: (audio, t) => {
+        [523, 659, 784, 1047, 1319].forEach((freq, i) => {
+            audio.tone({ type: 'square', freq, duration: 0.12, volume: 0.12, time: t + i * 0.08 });
+        });
+    },
+    warning: (audio, t) => {
+        for (let i = 0; i < 3; i++) {
+            audio.tone({ type: 'sawtooth', freq: 330, endFreq: 660, duration: 0.25, volume: 0.15, time: t + i * 0.35 });
+        }
+    },
+    gameOver: (audio, t) => {
+        [392, 330, 262, 196].forEach((freq, i) => {
+            audio.tone({ type: 'triangle', freq, duration: 0.35, volume: 0.3, time: t + i * 0.3 });
+        });
+    },
+    achievement: (audio, t) => {
+        [784, 1047, 1319].forEach((freq, i) => {
+            audio.tone({ type: 'triangle', freq, duration: 0.2, volume: 0.2, time: t + i * 0.1 });
+        });
+        audio.tone({ type: 'sine', freq: 1568, duration: 0.4, volume: 0.15, time: t + 0.3 });
+    },
+    levelComplete: (audio, t) => {
+        [523, 659, 784, 659, 784, 1047].forEach((freq, i) => {
+            audio.tone({ type: 'square', freq, duration: 0.18, volume: 0.12, time: t + i * 0.15 });
+        });
+    }
+};
+
+// Soundtrack: a 16-step loop of bass and arpeggio notes (semitones above A2; null rests)
+const MUSIC_PATTERN = {
+    bass: [0, null, 0, null, 3, null, 3, null, 5, null, 5, null, 3, null, 7, null],
+    lead: [12, 15, 19, 15, 12, 15, 19, 22, 17, 20, 24, 20, 15, 19, 22, 19]
+};
+const MUSIC_ROOT_FREQ = 110;
+const BASE_TEMPO = 100; // beats per minute at level 1
+const TEMPO_PER_LEVEL = 6;
+const MAX_TEMPO = 180;
+const SCHEDULE_AHEAD = 0.15; // seconds of music queued beyond the current audio time
+
+class AudioEngine {
+    constructor(options = {}) {
+        this.context = null;
+        this.volumes = { master: 0.8, music: 0.5, sfx: 0.8, ...options.volumes };
+        this.muted = options.muted ?? false;
+
+        this.musicPlaying = false;
+        this.tempo = BASE_TEMPO;
+        this.nextStepTime = 0;
+        this.step = 0;
+        this.noiseBuffer = null;
+
+        // The autoplay policy keeps audio locked until the first user gesture
+        this.unlock = this.unlock.bind(this);
+        ['pointerdown', 'keydown', 'touchstart'].forEach((type) => {
+            window.addEventListener(type, this.unlock, { capture: true });
+        });
+    }
+
+    unlock() {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        if (!this.context) {
+            this.context = new AudioContextClass();
+            this.masterGain = this.context.createGain();
+            this.musicGain = this.context.createGain();
+            this.sfxGain = this.context.createGain();
+            this.musicGain.connect(this.masterGain);
+            this.sfxGain.connect(this.masterGain);
+            this.masterGain.connect(this.context.destination);
+            this.applyVolumes();
+        }
+        if (this.context.state === 'suspended') {
+            this.context.resume().then(() => this.removeUnlockListeners());
+        } else {
+            this.removeUnlockListeners();
+        }
+    }
+
+    removeUnlockListeners() {
+        ['pointerdown', 'keydown', 'touchstart'].forEach((type) => {
+            window.removeEventListener(type, this.unlock, { capture: true });
+        });
+    }
+
+    get ready() {
+        return Boolean(this.context) && this.context.state === 'running';
+    }
+
+    setVolume(channel, value) {
+        if (!(channel in this.volumes)) {
+            throw new Error(`Unknown audio channel: ${channel}`);
+        }
+        this.volumes[channel] = Math.max(0, Math.min(1, value));
+        this.applyVolumes();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this.applyVolumes();
+    }
+
+    toggleMute() {
+        this.setMuted(!this.muted);
+        return this.muted;
+    }
+
+    applyVolumes() {
+        if (!this.context) return;
+        const now = this.context.currentTime;
+        // Short ramps avoid clicks when volumes change
+        this.masterGain.gain.setTargetAtTime(this.muted ? 0 : this.volumes.master, now, 0.02);
+        this.musicGain.gain.setTargetAtTime(this.volumes.music * 0.4, now, 0.02);
+        this.sfxGain.gain.setTargetAtTime(this.volumes.sfx, now, 0.02);
+    }
+
+    play(name) {
+        if (!this.ready || this.muted) return;
+        const effect = SOUND_EFFECTS[name];
+        if (!effect) {
+            console.warn(`Unknown sound effect: ${name}`);
+            return;
+        }
+        effect(this, this.context.currentTime);
+    }
+
+    // One oscillator voice with a quick attack and exponential decay
+    tone({ type, freq, endFreq = freq, duration, volume, time, output = this.sfxGain }) {
+        const oscillator = this.context.createOscillator();
+        const gain = this.context.createGain();
+        oscillator.type = type;
+        oscillator.frequency.setValueAtTime(freq, time);
+        if (endFreq !== freq) {
+            oscillator.frequency.exponentialRampToValueAtTime(endFreq, time + duration);
+        }
+        gain.gain.setValueAtTime(0.0001, time);
+        gain.gain.exponentialRampToValueAtTime(volume, time + 0.01);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+        oscillator.connect(gain);
+        gain.connect(output);
+        oscillator.start(time);
+        oscillator.stop(time + duration + 0.05);
+    }
+
+    // Filtered white noise, for explosions
+    noise({ duration, volume, filterFreq, endFilterFreq = filterFreq, time }) {
+        if (!this.noiseBuffer) {
+            const length = this.context.sampleRate;
+            this.noiseBuffer = this.context.createBuffer(1, length, this.context.sampleRate);
+            const data = this.noiseBuffer.getChannelData(0);
+            for (let i = 0; i < length; i++) {
+                data[i] = Math.random() * 2 - 1;
+            }
+        }
+
+        const source = this.context.createBufferSource();
+        const filter = this.context.createBiquadFilter();
+        const gain = this.context.createGain();
+        source.buffer = this.noiseBuffer;
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(filterFreq, time);
+        filter.frequency.exponentialRampToValueAtTime(endFilterFreq, time + duration);
+        gain.gain.setValueAtTime(volume, time);
+        gain.gain.exponentialRampToValueAtTime(0.0001, time + duration);
+
+        source.connect(filter);
+        filter.connect(gain);
+        gain.connect(this.sfxGain);
+        source.start(time);
+        source.stop(time + duration);
+    }
+
+    // Music speeds up with the level, capped at MAX_TEMPO
+    setLevel(level) {
+        this.tempo = Math.min(MAX_TEMPO, BASE_TEMPO + (level - 1) * TEMPO_PER_LEVEL);
+    }
+
+    startMusic() {
+        this.musicPlaying = true;
+        this.step = 0;
+        this.nextStepTime = 0;
+    }
+
+    stopMusic() {
+        this.musicPlaying = false;
+    }
+
+    // Called once per frame by the game loop; queues the notes due within SCHEDULE_AHEAD
+    update() {
+        if (!this.musicPlaying || !this.ready) return;
+
+        const now = this.context.currentTime;
+        const stepDuration = 60 / this.tempo / 4; // sixteenth notes
+        if (this.nextStepTime < now) {
+            this.nextStepTime = now + 0.05;
+        }
+
+        while (this.nextStepTime < now + SCHEDULE_AHEAD) {
+            const i = this.step % MUSIC_PATTERN.lead.length;
+            const bass = MUSIC_PATTERN.bass[i];
+            const lead = MUSIC_PATTERN.lead[i];
+            if (bass !== null) {
+                this.tone({
+                    type: 'triangle', freq: this.noteFreq(bass), duration: stepDuration * 1.8,
+                    volume: 0.5, time: this.nextStepTime, output: this.musicGain
+                });
+            }
+            if (lead !== null) {
+                this.tone({
+                    type: 'square', freq: this.noteFreq(lead), duration: stepDuration * 0.9,
+                    volume: 0.12, time: this.nextStepTime, output: this.musicGain
+                });
+            }
+            this.nextStepTime += stepDuration;
+            this.step++;
+        }
+    }
+
+    noteFreq(semitones) {
+        return MUSIC_ROOT_FREQ * Math.pow(2, semitones / 12);
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * Galaxy Defender - Movement Behaviors
+ * Composable per-type movement rules. An object type lists behaviors by name
+ * (or as { name, ...params }) and each one runs every frame in order, e.g.
+ *   behaviors: ['fall', { name: 'zigzag', speed: 2 }]
+ */
+
+(function (global) {
+    'use strict';
+
+    // Each behavior may define init(obj, params, sim) at spawn time and
+    // update(obj, params, sim, frames) every frame
+    const BEHAVIORS = {
+        // Straight down at the object's own speed
+        fall: {
+            defaults: { factor: 1 },
+            update(obj, params, sim, frames) {
+                obj.y += obj.speed * params.factor * frames;
+            }
+        },
+
+        // Sharp side-to-side turns every `period` milliseconds
+        zigzag: {
+            defaults: { speed: 2, period: 900 },
+            init(obj, params, sim) {
+                obj.direction = sim.rng.next() < 0.5 ? -1 : 1;
+            },
+            update(obj, params, sim, frames) {
+                const turns = Math.floor(obj.age / params.period);
+                const direction = turns % 2 === 0 ? obj.direction : -obj.direction;
+                obj.x += direction * params.speed * frames;
+                keepInside(obj, sim);
+            }
+        },
+
+        // Constant horizontal sweep that bounces off the playfield edges
+        strafe: {
+            defaults: { speed: 3 },
+            init(obj, params, sim) {
+                obj.direction = sim.rng.next() < 0.5 ? -1 : 1;
+            },
+            update(obj, params, sim, frames) {
+                obj.x += obj.direction * params.speed * frames;
+                if (keepInside(obj, sim)) {
+                    obj.direction *= -1;
+                }
+            }
+        },
+
+        // Smooth sine-wave drift around the spawn column
+        sine: {
+            defaults: { amplitude: 60, frequency: 0.004 },
+            init(obj, params, sim) {
+                obj.baseX = Math.max(params.amplitude, Math.min(sim.width - params.amplitude, obj.x));
+                obj.phase = sim.rng.next() * Math.PI * 2;
+            },
+            update(obj, params) {
+                obj.x = obj.baseX + Math.sin(obj.phase + obj.age * params.frequency) * params.amplitude;
+            }
+        },
+
+        // Gently steers towards the player's x position
+        homing: {
+            defaults: { turnRate: 0.08, maxSpeed: 2.5 },
+            update(obj, params, sim, frames) {
+                const dx = sim.player.x - obj.x;
+                obj.vx += Math.sign(dx) * params.turnRate * frames;
+                obj.vx = Math.max(-params.maxSpeed, Math.min(params.maxSpeed, obj.vx));
+
+                // Do not overshoot the player's column
+                const step = obj.vx * frames;
+                obj.x += Math.abs(step) > Math.abs(dx) ? dx : step;
+            }
+        },
+
+        // Enters from the left or right edge and crosses the playfield
+        sideEntry: {
+            defaults: { speed: 3, minY: 40, maxY: 250 },
+            init(obj, params, sim) {
+                const fromLeft = sim.rng.next() < 0.5;
+                obj.x = fromLeft ? -obj.width : sim.width + obj.width;
+                obj.y = params.minY + sim.rng.next() * (params.maxY - params.minY);
+                obj.vx = fromLeft ? params.speed : -params.speed;
+            },
+            update(obj, params, sim, frames) {
+                obj.x += obj.vx * frames;
+            }
+        }
+    };
+
+    // Clamps an object to the playfield horizontally; returns true if it was clamped
+    function keepInside(obj, sim) {
+        const margin = obj.width / 2;
+        if (obj.x < margin || obj.x > sim.width - margin) {
+            obj.x = Math.max(margin, Math.min(sim.width - margin, obj.x));
+            return true;
+        }
+        return false;
+    }
+
+    // Turns a type's behavior list into [{ behavior, params }] with defaults applied
+    function resolveBehaviors(specs, typeName) {
+        return (specs || ['fall']).map((spec) => {
+            const { name, ...params } = typeof spec === 'string' ? { name: spec } : spec;
+            const behavior = BEHAVIORS[name];
+            if (!behavior) {
+                throw new Error(`Unknown movement behavior "${name}" on object type "${typeName}"`);
+            }
+            return { behavior, params: { ...behavior.defaults, ...params } };
+        });
+    }
+
+    const exported = { BEHAVIORS, resolveBehaviors };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = exported;
+    } else {
+        Object.assign(global, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
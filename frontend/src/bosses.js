@@ -0,0 +1,147 @@
+/**
+ * Galaxy Defender - Boss Encounters
+ * Boss definitions and the Boss entity the simulation runs at level milestones
+ */
+
+(function (global) {
+    'use strict';
+
+    // Attack patterns:
+    //   drop    - fires `count` bossShot objects straight down, `spread` px apart
+    //   minions - releases `count` objects of `type` from the boss's position
+    const BOSS_TYPES = {
+        mothership: {
+            name: 'Mothership',
+            emoji: '🛸',
+            width: 120,
+            height: 80,
+            hp: 20,
+            speed: 2,
+            entryY: 110,
+            reward: 1000,
+            // Saucer hull: domed top, wide rim
+            hitbox: {
+                shape: 'polygon',
+                points: [[-0.2, -0.4], [0.2, -0.4], [0.5, 0.05], [0.3, 0.3], [-0.3, 0.3], [-0.5, 0.05]]
+            },
+            attacks: [
+                { pattern: 'drop', interval: 1400, count: 3, spread: 30, speed: 5 },
+                { pattern: 'minions', interval: 6000, type: 'ufo', count: 2, speed: 3 }
+            ]
+        },
+        rogueMoon: {
+            name: 'Rogue Moon',
+            emoji: '🌑',
+            width: 110,
+            height: 110,
+            hp: 30,
+            speed: 1.2,
+            entryY: 100,
+            reward: 1500,
+            hitbox: { shape: 'circle', radius: 0.45 },
+            attacks: [
+                { pattern: 'minions', interval: 2500, type: 'asteroid', count: 3, speed: 4 },
+                { pattern: 'drop', interval: 2000, count: 1, spread: 0, speed: 7 }
+            ]
+        }
+    };
+
+    // Encounters cycle through this list
+    const BOSS_ORDER = ['mothership', 'rogueMoon'];
+
+    // Below this fraction of health, attacks come faster
+    const ENRAGE_THRESHOLD = 0.5;
+    const ENRAGE_RATE = 1.5;
+
+    class Boss {
+        constructor(typeName, simulation, encounter = 1) {
+            const config = BOSS_TYPES[typeName];
+            this.type = typeName;
+            this.config = config;
+            this.simulation = simulation;
+            this.name = config.name;
+            this.emoji = config.emoji;
+            this.width = config.width;
+            this.height = config.height;
+            this.hitbox = config.hitbox;
+
+            // Each repeat encounter is tougher and worth more
+            const scale = 1 + (encounter - 1) * 0.5;
+            this.maxHp = Math.round(config.hp * scale);
+            this.hp = this.maxHp;
+            this.reward = Math.round(config.reward * scale);
+
+            this.x = simulation.width / 2;
+            this.y = -config.height;
+            this.prevX = this.x;
+            this.prevY = this.y;
+            this.direction = simulation.rng.next() < 0.5 ? -1 : 1;
+            this.entering = true;
+            this.attackTimers = config.attacks.map((attack) => attack.interval);
+        }
+
+        get isEnraged() {
+            return this.hp / this.maxHp < ENRAGE_THRESHOLD;
+        }
+
+        update(dt, frames) {
+            if (this.entering) {
+                // Descend into view before attacking
+                this.y += 1.5 * frames;
+                if (this.y >= this.config.entryY) {
+                    this.y = this.config.entryY;
+                    this.entering = false;
+                }
+                return;
+            }
+
+            // Strafe side to side, bouncing off the playfield edges
+            const margin = this.width / 2;
+            this.x += this.direction * this.config.speed * frames;
+            if (this.x < margin || this.x > this.simulation.width - margin) {
+                this.x = Math.max(margin, Math.min(this.simulation.width - margin, this.x));
+                this.direction *= -1;
+            }
+
+            const rate = this.isEnraged ? ENRAGE_RATE : 1;
+            this.config.attacks.forEach((attack, i) => {
+                this.attackTimers[i] -= dt * rate;
+                if (this.attackTimers[i] <= 0) {
+                    this.attackTimers[i] += attack.interval;
+                    this.performAttack(attack);
+                }
+            });
+        }
+
+        performAttack(attack) {
+            const sim = this.simulation;
+            const originY = this.y + this.height / 2;
+            const count = attack.count || 1;
+
+            for (let i = 0; i < count; i++) {
+                const offset = (i - (count - 1) / 2);
+                if (attack.pattern === 'drop') {
+                    sim.createObject('bossShot', this.x + offset * attack.spread, originY, attack.speed);
+                } else if (attack.pattern === 'minions') {
+                    const x = this.x + offset * (this.width / count);
+                    sim.createObject(attack.type, x, originY, attack.speed + sim.rng.next());
+                }
+            }
+            sim.emit('bossAttack', { boss: this, pattern: attack.pattern });
+        }
+
+        // Returns true when this hit destroyed the boss
+        takeDamage(amount) {
+            this.hp = Math.max(0, this.hp - amount);
+            return this.hp === 0;
+        }
+    }
+
+    const exported = { Boss, BOSS_TYPES, BOSS_ORDER };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = exported;
+    } else {
+        Object.assign(global, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
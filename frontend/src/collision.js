@@ -0,0 +1,178 @@
+/**
+ * Galaxy Defender - Collision Shapes
+ * Hitboxes made of circles, rotated boxes and convex polygons, tested with the
+ * separating axis theorem. Hitbox sizes are fractions of the entity's width
+ * (x) and height (y), so they follow the entity when it is resized, and box and
+ * polygon shapes turn with entity.rotation.
+ *
+ *   { shape: 'circle', radius: 0.4 }
+ *   { shape: 'box', width: 0.9, height: 0.4, x: 0, y: 0.1 }
+ *   { shape: 'polygon', points: [[0, -0.5], [0.4, 0.4], [-0.4, 0.4]] }
+ *
+ * A hitbox is one shape or an array of shapes.
+ */
+
+(function (global) {
+    'use strict';
+
+    const SHAPES = ['circle', 'box', 'polygon'];
+    const DEFAULT_HITBOX = { shape: 'circle', radius: 0.4 };
+
+    // Throws a descriptive error for a malformed hitbox; returns it as an array of shapes
+    function validateHitbox(hitbox, owner) {
+        const shapes = Array.isArray(hitbox) ? hitbox : [hitbox];
+        if (shapes.length === 0) {
+            throw new Error(`Hitbox of ${owner} has no shapes`);
+        }
+
+        shapes.forEach((spec) => {
+            if (!spec || !SHAPES.includes(spec.shape)) {
+                throw new Error(`Hitbox of ${owner} has unknown shape "${spec && spec.shape}" (expected ${SHAPES.join(', ')})`);
+            }
+            if (spec.shape === 'circle' && !(spec.radius > 0)) {
+                throw new Error(`Circle hitbox of ${owner} needs a positive radius`);
+            }
+            if (spec.shape === 'box' && !(spec.width > 0 && spec.height > 0)) {
+                throw new Error(`Box hitbox of ${owner} needs a positive width and height`);
+            }
+            if (spec.shape === 'polygon' && !isConvex(spec.points)) {
+                throw new Error(`Polygon hitbox of ${owner} must list at least 3 points of a convex shape in order`);
+            }
+        });
+        return shapes;
+    }
+
+    function isConvex(points) {
+        if (!Array.isArray(points) || points.length < 3) return false;
+        let sign = 0;
+        for (let i = 0; i < points.length; i++) {
+            const [ax, ay] = points[i];
+            const [bx, by] = points[(i + 1) % points.length];
+            const [cx, cy] = points[(i + 2) % points.length];
+            const cross = (bx - ax) * (cy - by) - (by - ay) * (cx - bx);
+            if (cross !== 0) {
+                if (sign !== 0 && Math.sign(cross) !== sign) return false;
+                sign = Math.sign(cross);
+            }
+        }
+        return sign !== 0;
+    }
+
+    // Places a hitbox in playfield coordinates: circles as { x, y, radius },
+    // boxes and polygons as { points: [{ x, y }] }
+    function worldShapes(entity, hitbox = entity.hitbox || DEFAULT_HITBOX) {
+        const shapes = Array.isArray(hitbox) ? hitbox : [hitbox];
+        const angle = entity.rotation || 0;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const toWorld = (fx, fy) => {
+            const px = fx * entity.width;
+            const py = fy * entity.height;
+            return { x: entity.x + px * cos - py * sin, y: entity.y + px * sin + py * cos };
+        };
+
+        return shapes.map((spec) => {
+            const offsetX = spec.x || 0;
+            const offsetY = spec.y || 0;
+            if (spec.shape === 'circle') {
+                const center = toWorld(offsetX, offsetY);
+                return { x: center.x, y: center.y, radius: spec.radius * entity.width };
+            }
+            if (spec.shape === 'box') {
+                const halfW = spec.width / 2;
+                const halfH = spec.height / 2;
+                return {
+                    points: [
+                        toWorld(offsetX - halfW, offsetY - halfH),
+                        toWorld(offsetX + halfW, offsetY - halfH),
+                        toWorld(offsetX + halfW, offsetY + halfH),
+                        toWorld(offsetX - halfW, offsetY + halfH)
+                    ]
+                };
+            }
+            return { points: spec.points.map(([px, py]) => toWorld(offsetX + px, offsetY + py)) };
+        });
+    }
+
+    function project(points, axis) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const point of points) {
+            const value = point.x * axis.x + point.y * axis.y;
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        return { min, max };
+    }
+
+    function edgeNormals(points) {
+        return points.map((point, i) => {
+            const next = points[(i + 1) % points.length];
+            return { x: next.y - point.y, y: point.x - next.x };
+        });
+    }
+
+    function overlapsOnAxes(a, b, axes) {
+        for (const axis of axes) {
+            const length = Math.hypot(axis.x, axis.y);
+            if (length === 0) continue;
+            const unit = { x: axis.x / length, y: axis.y / length };
+
+            const pa = a.points ? project(a.points, unit) : projectCircle(a, unit);
+            const pb = b.points ? project(b.points, unit) : projectCircle(b, unit);
+            if (pa.max < pb.min || pb.max < pa.min) return false;
+        }
+        return true;
+    }
+
+    function projectCircle(circle, axis) {
+        const center = circle.x * axis.x + circle.y * axis.y;
+        return { min: center - circle.radius, max: center + circle.radius };
+    }
+
+    // Axis from a circle's centre to the polygon vertex closest to it
+    function closestVertexAxis(circle, points) {
+        let best = null;
+        let bestDistance = Infinity;
+        for (const point of points) {
+            const distance = (point.x - circle.x) ** 2 + (point.y - circle.y) ** 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = point;
+            }
+        }
+        return { x: best.x - circle.x, y: best.y - circle.y };
+    }
+
+    function shapesIntersect(a, b) {
+        if (!a.points && !b.points) {
+            const distance = Math.hypot(a.x - b.x, a.y - b.y);
+            return distance < a.radius + b.radius;
+        }
+        if (a.points && b.points) {
+            return overlapsOnAxes(a, b, [...edgeNormals(a.points), ...edgeNormals(b.points)]);
+        }
+        const circle = a.points ? b : a;
+        const polygon = a.points ? a : b;
+        return overlapsOnAxes(circle, polygon, [...edgeNormals(polygon.points), closestVertexAxis(circle, polygon.points)]);
+    }
+
+    // True when any shape of a's hitbox overlaps any shape of b's
+    function collides(a, b) {
+        // Cheap bounding-circle rejection before building the shapes
+        const reach = (entity) => Math.hypot(entity.width, entity.height) / 2;
+        if (Math.hypot(a.x - b.x, a.y - b.y) > reach(a) + reach(b)) return false;
+
+        const shapesA = worldShapes(a);
+        const shapesB = worldShapes(b);
+        return shapesA.some((shapeA) => shapesB.some((shapeB) => shapesIntersect(shapeA, shapeB)));
+    }
+
+    const exported = { DEFAULT_HITBOX, validateHitbox, worldShapes, shapesIntersect, collides };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = exported;
+    } else {
+        Object.assign(global, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
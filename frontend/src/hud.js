@@ -0,0 +1,244 @@
+/**
+ * Galaxy Defender - DOM HUD
+ * Mirrors simulation state into the score header and overlay screens
+ */
+
+// How long each queued announcement stays in its live region before the next replaces it
+const ANNOUNCEMENT_GAP_MS = 1000;
+
+class DomHud {
+    constructor(doc = document) {
+        this.scoreElement = doc.getElementById('score');
+        this.timeElement = doc.getElementById('time');
+        this.levelElement = doc.getElementById('level');
+        this.livesElement = doc.getElementById('lives');
+        this.muteButton = doc.getElementById('muteBtn');
+        this.announcer = doc.getElementById('announcer');
+        this.alertAnnouncer = doc.getElementById('alertAnnouncer');
+        this.gameOverScreen = doc.getElementById('gameOverScreen');
+        this.startScreen = doc.getElementById('startScreen');
+        this.pauseScreen = doc.getElementById('pauseScreen');
+        this.loadingScreen = doc.getElementById('loadingScreen');
+        this.loadingProgress = doc.getElementById('loadingProgress');
+        this.gameOverTitleElement = doc.getElementById('gameOverTitle');
+        this.finalScoreElement = doc.getElementById('finalScore');
+        this.finalTimeElement = doc.getElementById('finalTime');
+        this.finalSeedElement = doc.getElementById('finalSeed');
+        this.nameEntryForm = doc.getElementById('nameEntry');
+        this.playerNameInput = doc.getElementById('playerName');
+        this.rankElement = doc.getElementById('rankDisplay');
+        this.leaderboardScreen = doc.getElementById('leaderboardScreen');
+        this.leaderboardModeSelect = doc.getElementById('leaderboardMode');
+        this.leaderboardBody = doc.getElementById('leaderboardBody');
+        this.leaderboardEmpty = doc.getElementById('leaderboardEmpty');
+        this.leaderboardSource = doc.getElementById('leaderboardSource');
+        this.achievementsScreen = doc.getElementById('achievementsScreen');
+        this.achievementsSummary = doc.getElementById('achievementsSummary');
+        this.achievementsList = doc.getElementById('achievementsList');
+        this.doc = doc;
+
+        // Messages waiting for their live region, so two in the same moment are both read
+        this.announcements = { polite: [], urgent: [] };
+    }
+
+    update(simulation) {
+        this.scoreElement.textContent = simulation.score;
+        this.timeElement.textContent = Math.floor(simulation.gameTime / 1000);
+        this.levelElement.textContent = simulation.level;
+        this.livesElement.textContent = '❤️'.repeat(Math.max(0, simulation.lives)) || '💀';
+    }
+
+    // Reads a message to screen reader users; urgent ones interrupt whatever is being read
+    announce(message, urgent = false) {
+        const queue = urgent ? this.announcements.urgent : this.announcements.polite;
+        queue.push(message);
+        if (queue.length === 1) {
+            this.nextAnnouncement(queue, urgent ? this.alertAnnouncer : this.announcer);
+        }
+    }
+
+    // Shows the queue's first message, then moves on to the next after giving screen
+    // readers time to pick it up
+    nextAnnouncement(queue, region) {
+        // Clearing first makes a repeated message (e.g. "Level 2" twice) announce again
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = queue[0];
+            setTimeout(() => {
+                queue.shift();
+                if (queue.length > 0) this.nextAnnouncement(queue, region);
+            }, ANNOUNCEMENT_GAP_MS);
+        }, 50);
+    }
+
+    // Display modes toggled from the settings screen
+    setBodyClass(name, enabled) {
+        this.doc.body.classList.toggle(name, enabled);
+    }
+
+    showMuted(muted) {
+        this.muteButton.textContent = muted ? '🔇' : '🔊';
+        this.muteButton.setAttribute('aria-pressed', String(muted));
+    }
+
+    showLoadingProgress(loaded, total) {
+        this.loadingProgress.style.width = `${Math.round(loaded / total * 100)}%`;
+    }
+
+    hideLoading() {
+        this.loadingScreen.classList.add('hidden');
+    }
+
+    hideScreens() {
+        this.startScreen.classList.add('hidden');
+        this.gameOverScreen.classList.add('hidden');
+        this.pauseScreen.classList.add('hidden');
+        this.leaderboardScreen.classList.add('hidden');
+        this.achievementsScreen.classList.add('hidden');
+    }
+
+    showStart() {
+        this.hideScreens();
+        this.startScreen.classList.remove('hidden');
+    }
+
+    showPause() {
+        this.pauseScreen.classList.remove('hidden');
+    }
+
+    hidePause() {
+        this.pauseScreen.classList.add('hidden');
+    }
+
+    showGameOver(result) {
+        this.gameOverTitleElement.textContent = result.completed ? 'Level Complete!' : 'Game Over!';
+        this.finalScoreElement.textContent = result.score;
+        this.finalTimeElement.textContent = Math.floor(result.time / 1000);
+        this.finalSeedElement.textContent = result.seed;
+        this.nameEntryForm.classList.add('hidden');
+        this.rankElement.classList.add('hidden');
+        this.gameOverScreen.classList.remove('hidden');
+    }
+
+    showNameEntry(defaultName) {
+        this.playerNameInput.value = defaultName;
+        this.nameEntryForm.classList.remove('hidden');
+        this.playerNameInput.focus();
+        this.playerNameInput.select();
+    }
+
+    // localRank is 0-based, -1 when the score did not place. server is null without a
+    // score server, 'pending' or 'unreachable', or its { rank } or { error } answer.
+    showRank(localRank, server, modeLabel) {
+        this.nameEntryForm.classList.add('hidden');
+        this.playerNameInput.blur();
+
+        const parts = [localRank >= 0
+            ? `🏆 #${localRank + 1} on your ${modeLabel} leaderboard`
+            : `Not saved on this device (not a top ${Leaderboard.MAX_ENTRIES} score)`];
+        if (server === 'pending') {
+            parts.push('🌍 Sending…');
+        } else if (server === 'unreachable') {
+            parts.push('🌍 Score server unreachable - not saved globally');
+        } else if (server && server.error) {
+            parts.push(`🌍 Rejected by the score server: ${server.error}`);
+        } else if (server) {
+            parts.push(server.rank >= 0 ? `🌍 #${server.rank + 1} worldwide` : '🌍 Not high enough for the global table');
+        }
+        this.rankElement.textContent = parts.join(' · ');
+        this.rankElement.classList.remove('hidden');
+    }
+
+    // modes is [{ mode, label }]; source is 'global' or 'local'
+    showLeaderboard(modes, mode, entries, source) {
+        this.hideScreens();
+        this.leaderboardSource.textContent = source === 'global'
+            ? '🌍 Global scores'
+            : '💾 Scores on this device';
+
+        this.leaderboardModeSelect.innerHTML = '';
+        modes.forEach((option) => {
+            const element = this.doc.createElement('option');
+            element.value = option.mode;
+            element.textContent = option.label;
+            this.leaderboardModeSelect.appendChild(element);
+        });
+        this.leaderboardModeSelect.value = mode;
+        this.leaderboardModeSelect.classList.toggle('hidden', modes.length < 2);
+
+        this.renderLeaderboard(entries);
+        this.leaderboardScreen.classList.remove('hidden');
+    }
+
+    renderLeaderboard(entries) {
+        // Built with textContent so player names are never parsed as HTML
+        this.leaderboardBody.innerHTML = '';
+        entries.forEach((entry, i) => {
+            const row = this.doc.createElement('tr');
+            const cells = [
+                i + 1,
+                entry.name,
+                entry.score,
+                entry.time === null ? '-' : `${Math.floor(entry.time / 1000)}s`,
+                entry.level ?? '-',
+                entry.date ? new Date(entry.date).toLocaleDateString() : '-',
+                entry.seed ?? '-'
+            ];
+            cells.forEach((value, column) => {
+                const cell = this.doc.createElement('td');
+                cell.textContent = value;
+                if (column === cells.length - 1) cell.className = 'seed-cell';
+                row.appendChild(cell);
+            });
+            this.leaderboardBody.appendChild(row);
+        });
+        this.leaderboardEmpty.classList.toggle('hidden', entries.length > 0);
+    }
+
+    // achievements is Achievements.list(): unlocked ones first, locked ones with their progress
+    showAchievements(achievements) {
+        this.hideScreens();
+        const unlocked = achievements.filter((achievement) => achievement.unlocked);
+        this.achievementsSummary.textContent = `${unlocked.length} of ${achievements.length} unlocked`;
+
+        this.achievementsList.innerHTML = '';
+        [...unlocked, ...achievements.filter((achievement) => !achievement.unlocked)].forEach((achievement) => {
+            const item = this.doc.createElement('li');
+            item.className = achievement.unlocked ? 'achievement unlocked' : 'achievement';
+
+            const icon = this.doc.createElement('span');
+            icon.className = 'achievement-icon';
+            icon.textContent = achievement.unlocked ? achievement.icon : '🔒';
+            icon.setAttribute('aria-hidden', 'true');
+
+            const details = this.doc.createElement('div');
+            const name = this.doc.createElement('strong');
+            name.textContent = achievement.name;
+            const description = this.doc.createElement('p');
+            description.textContent = achievement.description;
+            details.append(name, description);
+
+            if (achievement.unlocked) {
+                const date = this.doc.createElement('p');
+                date.className = 'achievement-date';
+                date.textContent = `Unlocked ${new Date(achievement.unlockedAt).toLocaleDateString()}`;
+                details.appendChild(date);
+            } else if (achievement.goal > 1) {
+                const progress = this.doc.createElement('progress');
+                progress.max = achievement.goal;
+                progress.value = achievement.progress;
+                const label = this.doc.createElement('span');
+                label.className = 'achievement-progress';
+                label.textContent = achievement.unit === 'time'
+                    ? `${Math.floor(achievement.progress / 1000)}s / ${achievement.goal / 1000}s`
+                    : `${achievement.progress} / ${achievement.goal}`;
+                progress.setAttribute('aria-label', label.textContent);
+                details.append(progress, label);
+            }
+
+            item.append(icon, details);
+            this.achievementsList.appendChild(item);
+        });
+        this.achievementsScreen.classList.remove('hidden');
+    }
+}
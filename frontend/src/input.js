@@ -0,0 +1,264 @@
+/**
+ * Galaxy Defender - Input Manager
+ * Merges keyboard, gamepad, mouse and touch (see touch-controls.js) into the
+ * input the simulation steps with
+ */
+
+const DEFAULT_BINDINGS = {
+    left: ['ArrowLeft', 'KeyA'],
+    right: ['ArrowRight', 'KeyD'],
+    fire: ['Space', 'ArrowUp', 'KeyW'],
+    pause: ['Escape', 'KeyP'],
+    start: ['Enter'],
+    mute: ['KeyM'],
+    hitboxes: ['Backquote']
+};
+
+// Actions that are tracked while held rather than fired once per press
+const HELD_ACTIONS = ['left', 'right', 'fire'];
+
+// Standard gamepad mapping
+const GAMEPAD_BUTTONS = {
+    a: 0,
+    rightTrigger: 7,
+    start: 9,
+    dpadLeft: 14,
+    dpadRight: 15
+};
+
+class InputManager {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.viewport = options.viewport;
+        // Looked up in loadBindings(): reading window.localStorage throws where storage is blocked
+        this.storage = options.storage || null;
+        this.storageKey = options.storageKey || 'galaxyDefenderBindings';
+        this.deadzone = options.deadzone ?? 0.2;
+
+        this.bindings = this.loadBindings();
+        this.pressed = new Set();
+        this.pointerX = null;
+        this.pointerFiring = false;
+        this.gamepadFiring = false;
+        this.mode = 'pointer'; // 'pointer', 'keyboard', 'gamepad', 'touch'
+        this.gamepadButtons = [];
+        this.pendingCapture = null;
+        this.listeners = {};
+
+        this.touch = new TouchControls(canvas, { viewport: this.viewport, getShipX: options.getShipX });
+
+        this.attach();
+    }
+
+    attach() {
+        window.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        window.addEventListener('keyup', (e) => this.pressed.delete(e.code));
+
+        // Released keys are never reported to a window without focus
+        window.addEventListener('blur', () => {
+            this.pressed.clear();
+            this.pointerFiring = false;
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => this.setPointer(e.clientX));
+        this.canvas.addEventListener('mousedown', (e) => {
+            if (e.button === 0) this.pointerFiring = true;
+        });
+        window.addEventListener('mouseup', () => {
+            this.pointerFiring = false;
+        });
+    }
+
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+    }
+
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach((handler) => handler(payload));
+    }
+
+    // Converts a client x coordinate into playfield coordinates
+    toCanvasX(clientX) {
+        return this.viewport.toLogical(clientX, 0).x;
+    }
+
+    setPointer(clientX) {
+        this.pointerX = this.toCanvasX(clientX);
+        this.mode = 'pointer';
+    }
+
+    handleKeyDown(e) {
+        if (this.pendingCapture) {
+            e.preventDefault();
+            this.pendingCapture(e.code);
+            return;
+        }
+
+        // Typing a name in a text field is not gameplay input
+        if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT')) return;
+
+        const action = this.actionFor(e.code);
+        if (!action) return;
+
+        e.preventDefault();
+        if (HELD_ACTIONS.includes(action)) {
+            this.pressed.add(e.code);
+            if (action !== 'fire') {
+                this.mode = 'keyboard';
+            }
+        }
+        if (action !== 'left' && action !== 'right' && !e.repeat) {
+            this.emit('action', action);
+        }
+    }
+
+    actionFor(code) {
+        return Object.keys(this.bindings).find((action) => this.bindings[action].includes(code)) || null;
+    }
+
+    isActionHeld(action) {
+        return this.bindings[action].some((code) => this.pressed.has(code));
+    }
+
+    // Reads the first connected gamepad and reports Start/A presses as actions
+    pollGamepad() {
+        const gamepads = navigator.getGamepads ? navigator.getGamepads() : [];
+        const gamepad = Array.from(gamepads).find((pad) => pad && pad.connected);
+        if (!gamepad) return 0;
+
+        const isDown = (index) => Boolean(gamepad.buttons[index] && gamepad.buttons[index].pressed);
+        const edges = [[GAMEPAD_BUTTONS.start, 'pause'], [GAMEPAD_BUTTONS.a, 'fire']];
+        edges.forEach(([index, action]) => {
+            if (isDown(index) && !this.gamepadButtons[index]) {
+                this.emit('action', action);
+            }
+            this.gamepadButtons[index] = isDown(index);
+        });
+        this.gamepadFiring = isDown(GAMEPAD_BUTTONS.a) || isDown(GAMEPAD_BUTTONS.rightTrigger);
+
+        const dpad = (isDown(GAMEPAD_BUTTONS.dpadRight) ? 1 : 0) - (isDown(GAMEPAD_BUTTONS.dpadLeft) ? 1 : 0);
+        if (dpad !== 0) return dpad;
+
+        const stickX = gamepad.axes[0] || 0;
+        if (Math.abs(stickX) < this.deadzone) return 0;
+
+        // Rescale so the stick ramps up smoothly from the edge of the deadzone
+        return Math.sign(stickX) * (Math.abs(stickX) - this.deadzone) / (1 - this.deadzone);
+    }
+
+    // Input for one simulation step: an analog steering axis from keys/gamepad,
+    // or an absolute target when the mouse or a finger was used last
+    sample() {
+        this.gamepadFiring = false;
+        const gamepadAxis = this.pollGamepad();
+        const keyboardAxis = (this.isActionHeld('right') ? 1 : 0) - (this.isActionHeld('left') ? 1 : 0);
+        const fire = this.isActionHeld('fire') || this.pointerFiring || this.gamepadFiring;
+
+        // Fingers on the screen take precedence while they are down
+        const touch = this.touch.sample();
+        if (touch) {
+            this.mode = 'touch';
+            return { ...touch, fire: touch.fire || fire };
+        }
+
+        if (keyboardAxis !== 0) {
+            this.mode = 'keyboard';
+            return { moveX: keyboardAxis, fire };
+        }
+        if (gamepadAxis !== 0) {
+            this.mode = 'gamepad';
+            return { moveX: gamepadAxis, fire };
+        }
+        if (this.mode === 'pointer' && this.pointerX !== null) {
+            return { targetX: this.pointerX, fire };
+        }
+        return { moveX: 0, fire };
+    }
+
+    resetPointer() {
+        this.pointerX = null;
+        this.pointerFiring = false;
+        this.pressed.clear();
+        this.touch.reanchor();
+    }
+
+    loadBindings() {
+        try {
+            this.storage = this.storage || browserStorage();
+            const saved = JSON.parse(this.storage.getItem(this.storageKey) || '{}');
+            const bindings = {};
+            for (const [action, codes] of Object.entries(DEFAULT_BINDINGS)) {
+                bindings[action] = Array.isArray(saved[action]) && saved[action].length > 0
+                    ? saved[action]
+                    : [...codes];
+            }
+            return bindings;
+        } catch (error) {
+            console.warn('Ignoring invalid saved key bindings:', error);
+            return JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+        }
+    }
+
+    saveBindings() {
+        try {
+            if (!this.storage) throw new Error('storage is unavailable');
+            this.storage.setItem(this.storageKey, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('Could not save key bindings:', error);
+        }
+    }
+
+    setBinding(action, codes) {
+        if (!(action in DEFAULT_BINDINGS)) {
+            throw new Error(`Unknown input action: ${action}`);
+        }
+
+        if (codes.length === 0) {
+            throw new Error(`Input action ${action} needs at least one key`);
+        }
+
+        // A key can only drive one action at a time. An action that would lose its
+        // last key takes one this action gives up instead, so the two swap keys.
+        const freed = this.bindings[action].filter((code) => !codes.includes(code));
+        const bindings = {};
+        for (const [other, otherCodes] of Object.entries(this.bindings)) {
+            const kept = otherCodes.filter((code) => !codes.includes(code));
+            if (other !== action && kept.length === 0 && otherCodes.length > 0) {
+                if (freed.length === 0) {
+                    throw new Error(`${otherCodes.join(', ')} is the only key left for ${other}`);
+                }
+                kept.push(freed.shift());
+            }
+            bindings[other] = kept;
+        }
+        bindings[action] = [...codes];
+        this.bindings = bindings;
+        this.saveBindings();
+    }
+
+    // Waits for the next key press and binds it as the primary key for the action.
+    // Escape cancels, resolving with null.
+    captureBinding(action) {
+        return new Promise((resolve) => {
+            this.pendingCapture = (code) => {
+                this.pendingCapture = null;
+                if (code === 'Escape') {
+                    resolve(null);
+                    return;
+                }
+                const secondary = this.bindings[action].slice(1).filter((c) => c !== code);
+                this.setBinding(action, [code, ...secondary]);
+                resolve(code);
+            };
+        });
+    }
+
+    cancelCapture() {
+        if (this.pendingCapture) this.pendingCapture('Escape');
+    }
+
+    resetBindings() {
+        this.bindings = JSON.parse(JSON.stringify(DEFAULT_BINDINGS));
+        this.saveBindings();
+    }
+}
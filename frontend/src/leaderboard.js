@@ -0,0 +1,157 @@
+/**
+ * Galaxy Defender - Local Leaderboard
+ * Top-10 tables per game mode, persisted in localStorage with a versioned schema
+ */
+
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { browserStorage } = isNode ? require('./memory-storage.js') : global;
+
+    const SCHEMA_VERSION = 1;
+    const MAX_ENTRIES = 10;
+    const MAX_NAME_LENGTH = 12;
+    const LEGACY_HIGH_SCORE_KEY = 'galaxyDefenderHighScore';
+
+    // Upgrades stored data one version at a time; the key is the version upgraded from.
+    // Version 0 is the old single number kept under LEGACY_HIGH_SCORE_KEY.
+    const MIGRATIONS = {
+        0: (legacyScore) => {
+            const data = { version: 1, lastName: '', tables: {} };
+            if (legacyScore > 0) {
+                data.tables.endless = {
+                    label: 'Endless',
+                    entries: [{ name: '???', score: legacyScore, time: null, level: null, date: null, seed: null }]
+                };
+            }
+            return data;
+        }
+    };
+
+    // Trims a player name to something safe to store and display
+    function sanitizeName(name) {
+        const trimmed = String(name || '').replace(/\s+/g, ' ').trim().slice(0, MAX_NAME_LENGTH);
+        return trimmed || 'Pilot';
+    }
+
+    class Leaderboard {
+        constructor(options = {}) {
+            // Looked up in load(): reading window.localStorage throws where storage is blocked
+            this.storage = options.storage || null;
+            this.storageKey = options.storageKey || 'galaxyDefenderLeaderboard';
+            this.maxEntries = options.maxEntries || MAX_ENTRIES;
+            // Set when the saved data has a version this code cannot read, e.g. from a
+            // newer release; it is then left alone rather than overwritten
+            this.readOnly = false;
+            this.data = this.load();
+        }
+
+        load() {
+            try {
+                this.storage = this.storage || browserStorage();
+                const raw = this.storage.getItem(this.storageKey);
+                let data;
+                let version;
+                if (raw) {
+                    data = JSON.parse(raw);
+                    version = data.version;
+                } else {
+                    data = Number(this.storage.getItem(LEGACY_HIGH_SCORE_KEY)) || 0;
+                    version = 0;
+                }
+
+                const migrated = version < SCHEMA_VERSION;
+                while (version !== SCHEMA_VERSION) {
+                    if (!MIGRATIONS[version]) {
+                        console.warn(`Leaderboard version ${version} is unknown; scores from this session will not be saved`);
+                        this.readOnly = true;
+                        return { version: SCHEMA_VERSION, lastName: '', tables: {} };
+                    }
+                    data = MIGRATIONS[version](data);
+                    version = data.version;
+                }
+
+                if (migrated) {
+                    this.save(data);
+                    this.storage.removeItem(LEGACY_HIGH_SCORE_KEY);
+                }
+                return data;
+            } catch (error) {
+                console.warn('Ignoring invalid saved leaderboard:', error);
+                return { version: SCHEMA_VERSION, lastName: '', tables: {} };
+            }
+        }
+
+        save(data = this.data) {
+            if (this.readOnly) return;
+            try {
+                this.storage.setItem(this.storageKey, JSON.stringify(data));
+            } catch (error) {
+                console.warn('Could not save leaderboard:', error);
+            }
+        }
+
+        get lastName() {
+            return this.data.lastName;
+        }
+
+        // Modes that have at least one entry, as [{ mode, label }]
+        getModes() {
+            return Object.entries(this.data.tables).map(([mode, table]) => ({ mode, label: table.label }));
+        }
+
+        getEntries(mode) {
+            const table = this.data.tables[mode];
+            return table ? table.entries : [];
+        }
+
+        // True when a score would earn a place in the mode's table
+        qualifies(mode, score) {
+            if (score <= 0) return false;
+            const entries = this.getEntries(mode);
+            return entries.length < this.maxEntries || score > entries[entries.length - 1].score;
+        }
+
+        // Records a game result and returns its 0-based rank, or -1 if it did not place
+        submit(name, result) {
+            if (!this.qualifies(result.mode, result.score)) return -1;
+
+            const table = this.data.tables[result.mode] ||
+                (this.data.tables[result.mode] = { label: result.modeLabel || result.mode, entries: [] });
+            const entry = {
+                name: sanitizeName(name),
+                score: result.score,
+                time: result.time,
+                level: result.level,
+                date: new Date().toISOString(),
+                seed: result.seed
+            };
+
+            // Ties keep the earlier entry ahead
+            let rank = table.entries.findIndex((other) => result.score > other.score);
+            if (rank === -1) rank = table.entries.length;
+            table.entries.splice(rank, 0, entry);
+            table.entries.length = Math.min(table.entries.length, this.maxEntries);
+
+            this.data.lastName = entry.name;
+            this.save();
+            return rank;
+        }
+
+        clear() {
+            this.data.tables = {};
+            this.save();
+        }
+    }
+
+    Leaderboard.SCHEMA_VERSION = SCHEMA_VERSION;
+    Leaderboard.MAX_ENTRIES = MAX_ENTRIES;
+    Leaderboard.MAX_NAME_LENGTH = MAX_NAME_LENGTH;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { Leaderboard, sanitizeName };
+    } else {
+        global.Leaderboard = Leaderboard;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,291 @@
+/**
+ * Galaxy Defender - Level Scripts
+ * Loads JSON level files (timed waves of objects) and sequences them into a
+ * GameSimulation in place of the endless difficulty ramp. See docs/level-format.md.
+ */
+
+(function (global) {
+    'use strict';
+
+    const FORMATIONS = ['random', 'column', 'line', 'v'];
+    const DEFAULT_LANES = 8;
+    const SPAWN_Y = -40;
+    const ROW_SPACING = 45; // vertical gap between rows of a 'v' formation
+    // A level's id is its game mode, so it must be one the score server accepts
+    const LEVEL_ID_PATTERN = /^[a-z0-9-]{1,40}$/;
+
+    class LevelFormatError extends Error {
+        constructor(message, path = '') {
+            super(path ? `${path}: ${message}` : message);
+            this.name = 'LevelFormatError';
+            this.path = path;
+        }
+    }
+
+    // Checks a parsed level against the known object types and returns it
+    // unchanged; throws LevelFormatError describing the first problem found
+    function validateLevel(level, objectTypes) {
+        if (!isObject(level)) {
+            throw new LevelFormatError('level must be a JSON object');
+        }
+        if (level.id !== undefined && (typeof level.id !== 'string' || !LEVEL_ID_PATTERN.test(level.id))) {
+            throw new LevelFormatError('must be 1-40 lowercase letters, digits and dashes', 'id');
+        }
+        if (level.id === 'endless') {
+            throw new LevelFormatError('"endless" is the endless mode\'s own id', 'id');
+        }
+        if (!Array.isArray(level.waves) || level.waves.length === 0) {
+            throw new LevelFormatError('must contain a non-empty "waves" array', 'waves');
+        }
+
+        const lanes = level.lanes ?? DEFAULT_LANES;
+        if (!Number.isInteger(lanes) || lanes < 1) {
+            throw new LevelFormatError('must be a positive integer', 'lanes');
+        }
+        checkNumber(level, 'speed', '');
+
+        level.waves.forEach((wave, w) => {
+            const wavePath = `waves[${w}]`;
+            if (!isObject(wave)) {
+                throw new LevelFormatError('must be an object', wavePath);
+            }
+            checkNumber(wave, 'delay', `${wavePath}.`, true);
+            checkNumber(wave, 'speed', `${wavePath}.`);
+            if (!Array.isArray(wave.groups) || wave.groups.length === 0) {
+                throw new LevelFormatError('must contain a non-empty "groups" array', `${wavePath}.groups`);
+            }
+
+            wave.groups.forEach((group, g) => {
+                const path = `${wavePath}.groups[${g}]`;
+                if (!isObject(group)) {
+                    throw new LevelFormatError('must be an object', path);
+                }
+                if (!objectTypes[group.type]) {
+                    throw new LevelFormatError(`unknown object type "${group.type}"`, `${path}.type`);
+                }
+
+                const formation = group.formation || 'random';
+                if (!FORMATIONS.includes(formation)) {
+                    throw new LevelFormatError(
+                        `unknown formation "${formation}" (expected ${FORMATIONS.join(', ')})`,
+                        `${path}.formation`
+                    );
+                }
+
+                if (group.count !== undefined && (!Number.isInteger(group.count) || group.count < 1)) {
+                    throw new LevelFormatError('must be a positive integer', `${path}.count`);
+                }
+                checkNumber(group, 'interval', `${path}.`);
+                checkNumber(group, 'at', `${path}.`, true);
+                checkNumber(group, 'speed', `${path}.`);
+
+                if (group.lanes !== undefined && !Array.isArray(group.lanes)) {
+                    throw new LevelFormatError('must be an array of lane numbers', `${path}.lanes`);
+                }
+                const groupLanes = group.lanes ?? (group.lane !== undefined ? [group.lane] : []);
+                groupLanes.forEach((lane) => {
+                    if (!Number.isInteger(lane) || lane < 0 || lane >= lanes) {
+                        throw new LevelFormatError(`lane ${lane} is outside 0..${lanes - 1}`, `${path}.lanes`);
+                    }
+                });
+            });
+        });
+
+        const loop = level.loop;
+        if (loop !== undefined && typeof loop !== 'boolean') {
+            if (!isObject(loop)) {
+                throw new LevelFormatError('must be true, false or { "from", "speedBonus" }', 'loop');
+            }
+            if (loop.from !== undefined &&
+                (!Number.isInteger(loop.from) || loop.from < 0 || loop.from >= level.waves.length)) {
+                throw new LevelFormatError(`must be a wave index in 0..${level.waves.length - 1}`, 'loop.from');
+            }
+            checkNumber(loop, 'speedBonus', 'loop.', true);
+        }
+
+        return level;
+    }
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // An optional number field: absent, or finite and above zero (or at least zero
+    // where zero means "straight away" or "no change")
+    function checkNumber(owner, field, pathPrefix, allowZero = false) {
+        const value = owner[field];
+        if (value === undefined) return;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || (value === 0 && !allowZero)) {
+            throw new LevelFormatError(allowZero ? 'must be a number of 0 or more' : 'must be a number above 0',
+                `${pathPrefix}${field}`);
+        }
+    }
+
+    // Fetches (browser) or reads (Node) a level file and validates it
+    async function loadLevel(source, objectTypes) {
+        let text;
+        if (typeof fetch === 'function' && !isNodeFile(source)) {
+            const response = await fetch(source);
+            if (!response.ok) {
+                throw new Error(`Failed to load level ${source}: HTTP ${response.status}`);
+            }
+            text = await response.text();
+        } else {
+            text = await require('fs').promises.readFile(source, 'utf8');
+        }
+
+        let level;
+        try {
+            level = JSON.parse(text);
+        } catch (error) {
+            throw new LevelFormatError(`invalid JSON in ${source} (${error.message})`);
+        }
+        return validateLevel(level, objectTypes);
+    }
+
+    function isNodeFile(source) {
+        return typeof process !== 'undefined' && Boolean(process.versions && process.versions.node) &&
+            !/^https?:/.test(source);
+    }
+
+    class LevelSequencer {
+        constructor(level, simulation) {
+            this.level = level;
+            this.simulation = simulation;
+            this.lanes = level.lanes ?? DEFAULT_LANES;
+            this.reset();
+        }
+
+        reset() {
+            this.loopCount = 0;
+            this.finished = false;
+            this.startWave(0);
+        }
+
+        get currentWave() {
+            return this.level.waves[this.waveIndex];
+        }
+
+        startWave(index) {
+            this.waveIndex = index;
+            this.waveTime = 0;
+            this.schedule = this.buildSchedule(this.currentWave);
+            this.simulation.emit('waveStart', {
+                index,
+                name: this.currentWave.name || `Wave ${index + 1}`,
+                loop: this.loopCount
+            });
+        }
+
+        // Expands a wave's groups into a time-ordered list of individual spawns
+        buildSchedule(wave) {
+            const schedule = [];
+            const delay = wave.delay || 0;
+
+            for (const group of wave.groups) {
+                const formation = group.formation || 'random';
+                const count = group.count ?? 1;
+                const interval = group.interval ?? 500;
+                const start = delay + (group.at || 0);
+                const speed = group.speed ?? wave.speed ?? this.level.speed ?? this.simulation.settings.baseSpeed;
+                const lanes = group.lanes ?? (group.lane !== undefined ? [group.lane] : null);
+
+                if (formation === 'line' || formation === 'v') {
+                    // Every lane spawns at once; a 'v' pulls the outer lanes back
+                    const rowLanes = lanes || this.spreadLanes(count);
+                    const middle = (rowLanes.length - 1) / 2;
+                    rowLanes.forEach((lane, i) => {
+                        const rowOffset = formation === 'v' ? Math.abs(i - middle) : 0;
+                        schedule.push({ time: start, type: group.type, lane, speed, yOffset: rowOffset * ROW_SPACING });
+                    });
+                } else {
+                    // 'column' cycles through its lanes in order; 'random' picks among them
+                    // (or anywhere on the playfield) when each object spawns
+                    for (let i = 0; i < count; i++) {
+                        const lane = formation === 'column' && lanes ? lanes[i % lanes.length] : null;
+                        const randomLanes = formation === 'random' ? lanes : null;
+                        schedule.push({ time: start + i * interval, type: group.type, lane, randomLanes, speed, yOffset: 0 });
+                    }
+                }
+            }
+
+            return schedule.sort((a, b) => a.time - b.time);
+        }
+
+        spreadLanes(count) {
+            const lanes = [];
+            const n = Math.min(count, this.lanes);
+            for (let i = 0; i < n; i++) {
+                lanes.push(Math.round((i + 0.5) * this.lanes / n - 0.5));
+            }
+            return lanes;
+        }
+
+        laneX(lane) {
+            const laneWidth = (this.simulation.width - 40) / this.lanes;
+            return 20 + (lane + 0.5) * laneWidth;
+        }
+
+        update(dt) {
+            if (this.finished) return;
+
+            this.waveTime += dt;
+            const speedBonus = this.loopCount * this.loopSettings.speedBonus;
+
+            while (this.schedule.length > 0 && this.schedule[0].time <= this.waveTime) {
+                const spawn = this.schedule.shift();
+                const rng = this.simulation.rng;
+                let x;
+                if (spawn.lane !== null) {
+                    x = this.laneX(spawn.lane);
+                } else if (spawn.randomLanes) {
+                    x = this.laneX(spawn.randomLanes[Math.floor(rng.next() * spawn.randomLanes.length)]);
+                } else {
+                    x = rng.next() * (this.simulation.width - 40) + 20;
+                }
+                this.simulation.createObject(spawn.type, x, SPAWN_Y - spawn.yOffset, spawn.speed + speedBonus);
+            }
+
+            // The final wave of a non-looping level only ends once the playfield is clear
+            const isFinalWave = this.waveIndex === this.level.waves.length - 1 && !this.loopSettings.enabled;
+            if (this.schedule.length === 0 && (!isFinalWave || this.simulation.objects.length === 0)) {
+                this.completeWave();
+            }
+        }
+
+        get loopSettings() {
+            const loop = this.level.loop;
+            if (!loop) return { enabled: false, from: 0, speedBonus: 0 };
+            return {
+                enabled: true,
+                from: loop === true ? 0 : (loop.from || 0),
+                speedBonus: loop === true ? 0.5 : (loop.speedBonus ?? 0.5)
+            };
+        }
+
+        completeWave() {
+            this.simulation.emit('waveComplete', { index: this.waveIndex });
+
+            // The wave is queued before the level-up so a boss milestone can take over
+            if (this.waveIndex + 1 < this.level.waves.length) {
+                this.startWave(this.waveIndex + 1);
+                this.simulation.advanceLevel();
+            } else if (this.loopSettings.enabled) {
+                this.loopCount++;
+                this.startWave(this.loopSettings.from);
+                this.simulation.advanceLevel();
+            } else {
+                this.finished = true;
+                this.simulation.completeLevel(this.level.name || null);
+            }
+        }
+    }
+
+    const exported = { LevelSequencer, LevelFormatError, validateLevel, loadLevel, LEVEL_ID_PATTERN };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = exported;
+    } else {
+        Object.assign(global, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,46 @@
+/**
+ * Galaxy Defender - Storage fallback
+ * A localStorage-compatible store kept in memory, used when the browser blocks
+ * localStorage (reading window.localStorage then throws a SecurityError) so
+ * settings and records still work for the session
+ */
+
+(function (global) {
+    'use strict';
+
+    class MemoryStorage {
+        constructor() {
+            this.items = new Map();
+        }
+
+        getItem(key) {
+            return this.items.has(key) ? this.items.get(key) : null;
+        }
+
+        setItem(key, value) {
+            this.items.set(key, String(value));
+        }
+
+        removeItem(key) {
+            this.items.delete(key);
+        }
+    }
+
+    // The page's localStorage, or a MemoryStorage when it is blocked or missing (Node)
+    function browserStorage() {
+        try {
+            if (global.localStorage) return global.localStorage;
+        } catch (error) {
+            console.warn('localStorage is blocked; nothing will be kept after this session:', error.message);
+        }
+        return new MemoryStorage();
+    }
+
+    const exported = { MemoryStorage, browserStorage };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = exported;
+    } else {
+        Object.assign(global, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,58 @@
+/**
+ * Galaxy Defender - Object Pool
+ * Reuses game objects instead of allocating new ones every spawn
+ */
+
+(function (global) {
+    'use strict';
+
+    class ObjectPool {
+        constructor(createFn, resetFn, initialSize = 50) {
+            this.createFn = createFn;
+            this.resetFn = resetFn;
+            this.pool = [];
+            this.active = [];
+
+            // Pre-populate pool
+            for (let i = 0; i < initialSize; i++) {
+                this.pool.push(this.createFn());
+            }
+        }
+
+        get() {
+            let obj;
+            if (this.pool.length > 0) {
+                obj = this.pool.pop();
+            } else {
+                obj = this.createFn();
+            }
+            this.active.push(obj);
+            return obj;
+        }
+
+        release(obj) {
+            const index = this.active.indexOf(obj);
+            if (index > -1) {
+                this.active.splice(index, 1);
+                this.resetFn(obj);
+                this.pool.push(obj);
+            }
+        }
+
+        releaseAll() {
+            while (this.active.length > 0) {
+                this.release(this.active[0]);
+            }
+        }
+
+        getActiveCount() {
+            return this.active.length;
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { ObjectPool };
+    } else {
+        global.ObjectPool = ObjectPool;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,196 @@
+/**
+ * Galaxy Defender - Particles
+ * One pooled particle system for every visual effect. Effects are emitted from
+ * declarative presets and advanced and drawn by the main loop.
+ */
+
+// Emitter presets. [min, max] ranges are picked per particle: speed in px/s,
+// angle in degrees (0 = right, 90 = down), life in ms. gravity is in px/s² and
+// drag is the fraction of speed lost per second. size, alpha and colors (hex) are
+// curves: their values are spread evenly over each particle's life.
+const EMITTER_PRESETS = {
+    // Particles thrown out in every direction, e.g. a pickup
+    burst: {
+        count: 10, speed: [60, 300], angle: [0, 360], life: [350, 550], gravity: 0, drag: 0,
+        size: [4, 2], alpha: [1, 0], colors: ['#ffd700'], blend: 'source-over', shape: 'square'
+    },
+    // Evenly spaced particles racing out as an expanding circle
+    ring: {
+        count: 24, even: true, speed: [180, 200], angle: [0, 360], life: [400, 450], gravity: 0, drag: 1,
+        size: [3, 1], alpha: [1, 0], colors: ['#ffffff'], blend: 'lighter', shape: 'circle'
+    },
+    // Fast, bright, short-lived flecks that fall under gravity
+    sparks: {
+        count: 8, speed: [200, 450], angle: [0, 360], life: [150, 350], gravity: 900, drag: 0,
+        size: [2, 1], alpha: [1, 0.6, 0], colors: ['#ffffff', '#ffd93d'], blend: 'lighter', shape: 'square'
+    },
+    // Left behind a moving entity; streamed every frame at `rate` particles per second
+    trail: {
+        count: 1, rate: 60, speed: [0, 30], angle: [60, 120], life: [200, 350], gravity: 0, drag: 0,
+        size: [3, 0], alpha: [0.6, 0], colors: ['#4ecdc4'], blend: 'lighter', shape: 'circle'
+    }
+};
+
+class ParticleSystem {
+    constructor(options = {}) {
+        // Hard cap; emissions past it are dropped
+        this.maxParticles = options.maxParticles || 800;
+        this.rng = options.rng || { next: Math.random };
+
+        // Pooled particles; the first `count` are alive
+        this.particles = [];
+        this.count = 0;
+
+        this.colorCache = new Map();
+    }
+
+    // Emits a preset's particles at (x, y). overrides replace preset fields;
+    // scale (the quality setting) multiplies the count.
+    emit(presetName, x, y, overrides = {}, scale = 1) {
+        const emitter = { ...EMITTER_PRESETS[presetName], ...overrides };
+        this.spawn(emitter, x, y, Math.max(1, Math.round(emitter.count * scale)));
+    }
+
+    // Emits a continuous preset (trail) for dt milliseconds of its rate; fractions
+    // of a particle carry over as a chance of one more
+    stream(presetName, x, y, dt, overrides = {}, scale = 1) {
+        const emitter = { ...EMITTER_PRESETS[presetName], ...overrides };
+        const expected = emitter.rate * dt / 1000 * scale;
+        const count = Math.floor(expected) + (this.rng.next() < expected % 1 ? 1 : 0);
+        if (count > 0) this.spawn(emitter, x, y, count);
+    }
+
+    spawn(emitter, x, y, count) {
+        const colors = emitter.colors.map((color) => this.parseColor(color));
+        const [minAngle, maxAngle] = emitter.angle;
+
+        for (let i = 0; i < count && this.count < this.maxParticles; i++) {
+            const degrees = emitter.even
+                ? minAngle + (maxAngle - minAngle) * i / count
+                : this.between(emitter.angle);
+            const angle = degrees * Math.PI / 180;
+            const speed = this.between(emitter.speed);
+
+            if (this.count === this.particles.length) {
+                this.particles.push({});
+            }
+            const particle = this.particles[this.count++];
+            particle.x = x;
+            particle.y = y;
+            particle.vx = Math.cos(angle) * speed;
+            particle.vy = Math.sin(angle) * speed;
+            particle.age = 0;
+            particle.life = this.between(emitter.life);
+            particle.gravity = emitter.gravity;
+            particle.drag = emitter.drag;
+            particle.size = emitter.size;
+            particle.alpha = emitter.alpha;
+            particle.colors = colors;
+            particle.blend = emitter.blend;
+            particle.shape = emitter.shape;
+        }
+    }
+
+    between([min, max]) {
+        return min + this.rng.next() * (max - min);
+    }
+
+    // '#rgb' or '#rrggbb' as [r, g, b]
+    parseColor(color) {
+        let rgb = this.colorCache.get(color);
+        if (!rgb) {
+            const hex = color.length === 4 ? color.replace(/[0-9a-f]/gi, '$&$&') : color;
+            const value = parseInt(hex.slice(1), 16);
+            rgb = [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+            this.colorCache.set(color, rgb);
+        }
+        return rgb;
+    }
+
+    update(dt) {
+        const seconds = dt / 1000;
+        for (let i = this.count - 1; i >= 0; i--) {
+            const particle = this.particles[i];
+            particle.age += dt;
+            if (particle.age >= particle.life) {
+                this.kill(i);
+                continue;
+            }
+
+            if (particle.drag) {
+                const keep = Math.max(0, 1 - particle.drag * seconds);
+                particle.vx *= keep;
+                particle.vy *= keep;
+            }
+            particle.vy += particle.gravity * seconds;
+            particle.x += particle.vx * seconds;
+            particle.y += particle.vy * seconds;
+        }
+    }
+
+    // Swaps a dead particle out of the live range so the pool stays packed
+    kill(index) {
+        const last = this.count - 1;
+        const dead = this.particles[index];
+        this.particles[index] = this.particles[last];
+        this.particles[last] = dead;
+        this.count--;
+    }
+
+    clear() {
+        this.count = 0;
+    }
+
+    draw(ctx) {
+        if (this.count === 0) return;
+
+        ctx.save();
+        for (let i = 0; i < this.count; i++) {
+            const particle = this.particles[i];
+            const t = particle.age / particle.life;
+            const size = sampleCurve(particle.size, t);
+
+            ctx.globalCompositeOperation = particle.blend;
+            ctx.globalAlpha = Math.max(0, sampleCurve(particle.alpha, t));
+            ctx.fillStyle = sampleColor(particle.colors, t);
+            if (particle.shape === 'circle') {
+                ctx.beginPath();
+                ctx.arc(particle.x, particle.y, size / 2, 0, Math.PI * 2);
+                ctx.fill();
+            } else {
+                ctx.fillRect(particle.x - size / 2, particle.y - size / 2, size, size);
+            }
+        }
+        ctx.restore();
+    }
+}
+
+// Where t = 0..1 falls between values spaced evenly over a curve
+function curvePosition(length, t) {
+    const position = Math.min(t, 1) * (length - 1);
+    const index = Math.min(Math.floor(position), length - 2);
+    return { index, fraction: position - index };
+}
+
+// Linear interpolation through a curve of numbers
+function sampleCurve(values, t) {
+    if (values.length === 1) return values[0];
+    const { index, fraction } = curvePosition(values.length, t);
+    return values[index] + (values[index + 1] - values[index]) * fraction;
+}
+
+// Linear interpolation through a curve of [r, g, b] colors, as a CSS color
+function sampleColor(colors, t) {
+    let [r, g, b] = colors[0];
+    if (colors.length > 1) {
+        const { index, fraction } = curvePosition(colors.length, t);
+        const from = colors[index];
+        const to = colors[index + 1];
+        r = from[0] + (to[0] - from[0]) * fraction;
+        g = from[1] + (to[1] - from[1]) * fraction;
+        b = from[2] + (to[2] - from[2]) * fraction;
+    }
+    return `rgb(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)})`;
+}
+
+ParticleSystem.PRESETS = EMITTER_PRESETS;
@@ -0,0 +1,527 @@
+/**
+ * Galaxy Defender - Canvas Renderer
+ * Draws a GameSimulation onto a 2D canvas; holds no game rules of its own.
+ * Everything is drawn in the viewport's logical playfield coordinates.
+ */
+
+class CanvasRenderer {
+    constructor(canvas, viewport) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.viewport = viewport;
+        this.width = viewport.width;
+        this.height = viewport.height;
+
+        // Cosmetic randomness, reseeded per run so effects are reproducible too
+        this.effectsRng = new SeededRandom();
+
+        // While paused, effects other than toasts stay on screen but stop advancing
+        this.paused = false;
+
+        // Scrolling parallax background (see starfield.js)
+        this.starfield = new Starfield(this.width, this.height, { resolution: viewport.pixelScale });
+
+        // Every visual effect shares one pooled particle system (see particles.js)
+        this.particles = new ParticleSystem({ rng: this.effectsRng, maxParticles: 800 });
+
+        // Centered announcement (e.g. wave names), timed in game time
+        this.banner = null;
+
+        // Achievement unlocks waiting to slide in, one at a time; timed in real time so
+        // they carry on over the menus
+        this.toasts = [];
+
+        // Sprite sheet once loaded (see sprites.js); until then, or if it fails, emoji are drawn
+        this.atlas = null;
+
+        // User options (see settings.js)
+        this.particleQuality = 'high';
+        this.reducedMotion = false;
+        this.highContrast = false;
+        this.showFps = false;
+        this.fps = 0;
+
+        // Benchmark readout under the FPS counter (see GalaxyDefender.getPerformanceStats)
+        this.performanceStats = null;
+
+        // How far the frame is between the last two simulation steps (see at())
+        this.alpha = 1;
+
+        // On-screen stick and fire button (see touch-controls.js), set by the game
+        this.touchControls = null;
+
+        // Debug overlay outlining every collision shape (toggled with the backquote key or ?debug=hitboxes)
+        this.showHitboxes = false;
+    }
+
+    // Cached layers are re-rendered to match the new pixel density
+    resize() {
+        this.starfield.setResolution(this.viewport.pixelScale);
+    }
+
+    // Scales particle emission by the quality setting; reduced motion thins it further
+    particleScale() {
+        return CanvasRenderer.PARTICLE_SCALES[this.particleQuality] * (this.reducedMotion ? 0.3 : 1);
+    }
+
+    reset(seed) {
+        this.effectsRng = new SeededRandom((seed ^ 0x9e3779b9) >>> 0);
+        this.particles.rng = this.effectsRng;
+        this.particles.clear();
+        this.banner = null;
+    }
+
+    // Advances effects by dt milliseconds of real time; called by the main loop every frame.
+    // gameState is the game's, not the simulation's: a run quit from the pause menu is
+    // still 'playing' in the simulation but no longer on screen.
+    update(dt, simulation, gameState) {
+        // Toasts count down even while paused; otherwise one unlocked just before a
+        // pause would stay frozen on screen until the game resumed
+        if (this.toasts.length > 0) {
+            this.toasts[0].elapsed += dt;
+            if (this.toasts[0].elapsed >= CanvasRenderer.TOAST_DURATION) {
+                this.toasts.shift();
+            }
+        }
+
+        if (this.paused) return;
+
+        // The background holds still with reduced motion; menus drift at the starting speed
+        const playing = gameState === 'playing' && simulation.state === 'playing';
+        if (!this.reducedMotion) {
+            const speed = playing ? simulation.currentSpeed : simulation.settings.baseSpeed;
+            this.starfield.update(dt, speed);
+        }
+
+        if (playing) {
+            const scale = this.particleScale();
+            const { player } = simulation;
+            this.particles.stream('trail', player.x, player.y + player.height / 2, dt, {
+                rate: 40, size: [5, 1], colors: ['#ffd93d', '#ff6b35'], speed: [40, 90]
+            }, scale);
+            simulation.projectiles.forEach((projectile) => {
+                this.particles.stream('trail', projectile.x, projectile.y + projectile.height / 2, dt, {}, scale);
+            });
+        }
+        this.particles.update(dt);
+    }
+
+    // alpha (0-1) is how far real time has moved past the last simulation step
+    // towards the next one; entities are drawn that far along their last move
+    render(simulation, gameState, alpha = 1) {
+        this.alpha = alpha;
+
+        // Clear canvas
+        this.viewport.applyTransform(this.ctx);
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        this.starfield.draw(this.ctx, !this.highContrast);
+
+        if (gameState === 'playing' || gameState === 'paused') {
+            const player = simulation.player;
+            const playerAt = this.at(player);
+            const time = simulation.gameTime;
+
+            // Draw projectiles beneath the ship
+            this.drawProjectiles(simulation.projectiles);
+
+            // Draw player, blinking while invulnerable after a hit (or dimmed, with reduced motion)
+            if (simulation.isInvulnerable && this.reducedMotion) {
+                this.ctx.save();
+                this.ctx.globalAlpha = 0.4;
+                this.drawSprite('player', player.emoji, playerAt.x, playerAt.y, player.width, time);
+                this.ctx.restore();
+            } else if (!simulation.isInvulnerable || Math.floor(simulation.invulnerableTime / 100) % 2 !== 0) {
+                this.drawSprite('player', player.emoji, playerAt.x, playerAt.y, player.width, time);
+            }
+            if (simulation.isPowerUpActive('shield')) {
+                this.drawShield(player);
+            }
+
+            // Draw objects
+            simulation.objects.forEach(obj => {
+                if (this.highContrast) {
+                    this.drawHazardMarker(obj, simulation.objectTypes[obj.type].dangerous);
+                }
+                const { x, y } = this.at(obj);
+                this.ctx.save();
+                this.ctx.translate(x, y);
+                this.ctx.rotate(obj.rotation);
+                this.drawSprite(obj.type, obj.emoji, 0, 0, obj.width, time);
+                this.ctx.restore();
+            });
+
+            if (simulation.boss) {
+                if (this.highContrast) {
+                    this.drawHazardMarker(simulation.boss, true);
+                }
+                this.drawBoss(simulation.boss, time);
+            }
+
+            // Draw speed indicator and active power-up timers
+            this.drawSpeedIndicator(simulation);
+            this.drawPowerUpTimers(simulation);
+            this.drawBanner(simulation);
+
+            if (this.touchControls && this.touchControls.visible) {
+                this.drawTouchControls(this.touchControls);
+            }
+
+            if (this.showHitboxes) {
+                this.drawHitboxes(simulation);
+            }
+        }
+
+        // Effects outlive the run that caused them, e.g. the final explosion
+        this.particles.draw(this.ctx);
+        this.drawToast();
+
+        if (this.showFps || this.performanceStats) {
+            this.drawFps();
+        }
+    }
+
+    // An entity's position part-way between its previous and current step
+    at(entity) {
+        const prevX = entity.prevX ?? entity.x;
+        const prevY = entity.prevY ?? entity.y;
+        return {
+            x: prevX + (entity.x - prevX) * this.alpha,
+            y: prevY + (entity.y - prevY) * this.alpha
+        };
+    }
+
+    drawFps() {
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        this.ctx.font = '14px Courier New';
+        this.ctx.textAlign = 'right';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillText(`${Math.round(this.fps)} FPS`, this.width - 10, 10);
+        if (this.performanceStats) {
+            const { activeObjects, averageStepTime, frameTime, collisionChecks } = this.performanceStats;
+            this.ctx.fillText(`${activeObjects} objects, ${collisionChecks} checks`, this.width - 10, 28);
+            this.ctx.fillText(`step ${averageStepTime.toFixed(2)} ms, frame ${frameTime.toFixed(2)} ms`, this.width - 10, 46);
+        }
+        this.ctx.restore();
+    }
+
+    drawTouchControls(touch) {
+        const { x, y, radius } = touch.fireButton;
+        this.ctx.save();
+        this.ctx.lineWidth = 3;
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+        this.ctx.fillStyle = touch.firing ? 'rgba(255, 107, 107, 0.5)' : 'rgba(255, 255, 255, 0.15)';
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        this.ctx.font = 'bold 16px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText('FIRE', x, y);
+
+        const stick = touch.stick;
+        if (stick) {
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.1)';
+            this.ctx.beginPath();
+            this.ctx.arc(stick.baseX, stick.baseY, stick.radius, 0, Math.PI * 2);
+            this.ctx.fill();
+            this.ctx.stroke();
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+            this.ctx.beginPath();
+            this.ctx.arc(stick.knobX, stick.knobY, stick.radius * 0.45, 0, Math.PI * 2);
+            this.ctx.fill();
+        }
+        this.ctx.restore();
+    }
+
+    // Outlines collision shapes: red for hazards, green for pick-ups, cyan for the player and shots
+    drawHitboxes(simulation) {
+        const outline = (entity, color) => {
+            this.ctx.strokeStyle = color;
+            for (const shape of worldShapes({ ...entity, ...this.at(entity) })) {
+                this.ctx.beginPath();
+                if (shape.points) {
+                    shape.points.forEach((point) => this.ctx.lineTo(point.x, point.y));
+                    this.ctx.closePath();
+                } else {
+                    this.ctx.arc(shape.x, shape.y, shape.radius, 0, Math.PI * 2);
+                }
+                this.ctx.stroke();
+            }
+        };
+
+        this.ctx.save();
+        this.ctx.lineWidth = 1;
+        outline(simulation.player, '#00e5ff');
+        simulation.projectiles.forEach((projectile) => outline(projectile, '#00e5ff'));
+        simulation.objects.forEach((obj) => {
+            outline(obj, simulation.objectTypes[obj.type].dangerous ? '#ff5252' : '#69f0ae');
+        });
+        if (simulation.boss) {
+            outline(simulation.boss, '#ff5252');
+        }
+        this.ctx.restore();
+    }
+
+    // Draws the named sprite from the atlas, or the emoji when there is no atlas or no such sprite
+    drawSprite(name, emoji, x, y, size, time) {
+        if (this.atlas && this.atlas.has(name)) {
+            this.atlas.draw(this.ctx, name, x, y, size, time);
+        } else {
+            this.drawEmoji(emoji, x, y, size);
+        }
+    }
+
+    drawEmoji(emoji, x, y, size) {
+        this.ctx.font = `${size}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(emoji, x, y);
+    }
+
+    // High contrast mode tells hazards from pickups by shape as well as colour:
+    // hazards get a red diamond, collectibles a green circle
+    drawHazardMarker(obj, dangerous) {
+        const { x, y } = this.at(obj);
+        const radius = obj.width * 0.7;
+        this.ctx.save();
+        this.ctx.lineWidth = 3;
+        this.ctx.beginPath();
+        if (dangerous) {
+            this.ctx.strokeStyle = '#ff3b3b';
+            this.ctx.moveTo(x, y - radius);
+            this.ctx.lineTo(x + radius, y);
+            this.ctx.lineTo(x, y + radius);
+            this.ctx.lineTo(x - radius, y);
+            this.ctx.closePath();
+        } else {
+            this.ctx.strokeStyle = '#3bff6b';
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    drawProjectiles(projectiles) {
+        this.ctx.save();
+        this.ctx.fillStyle = '#4ecdc4';
+        this.ctx.shadowColor = '#4ecdc4';
+        this.ctx.shadowBlur = 10;
+        projectiles.forEach(projectile => {
+            const { x, y } = this.at(projectile);
+            this.ctx.fillRect(
+                x - projectile.width / 2,
+                y - projectile.height / 2,
+                projectile.width,
+                projectile.height
+            );
+        });
+        this.ctx.restore();
+    }
+
+    drawSpeedIndicator(simulation) {
+        // Draw a small speed/difficulty indicator
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        this.ctx.font = '16px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(`Level: ${simulation.level}`, 10, 30);
+
+        // Speed bar
+        const barWidth = 100;
+        const barHeight = 8;
+        const baseSpeed = simulation.settings.baseSpeed;
+        const speedPercent = Math.min((simulation.currentSpeed - baseSpeed) / 5, 1);
+
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        this.ctx.fillRect(10, 40, barWidth, barHeight);
+
+        this.ctx.fillStyle = `hsl(${120 - speedPercent * 120}, 100%, 50%)`;
+        this.ctx.fillRect(10, 40, barWidth * speedPercent, barHeight);
+    }
+
+    drawBoss(boss, time) {
+        // Gentle bob over game time so the boss reads as alive even while holding
+        // position; held still with reduced motion
+        const { x: bossX, y: bossY } = this.at(boss);
+        const bob = this.reducedMotion ? 0 : Math.sin(time * 0.004) * 4;
+        this.drawSprite(boss.type, boss.emoji, bossX, bossY + bob, boss.width, time);
+
+        // Health bar across the top of the playfield
+        const barWidth = this.width * 0.5;
+        const barHeight = 12;
+        const x = (this.width - barWidth) / 2;
+        const y = 16;
+        const percent = boss.hp / boss.maxHp;
+
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+        this.ctx.fillRect(x, y, barWidth, barHeight);
+        this.ctx.fillStyle = boss.isEnraged ? '#ff5252' : '#ff9f43';
+        this.ctx.fillRect(x, y, barWidth * percent, barHeight);
+        this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        this.ctx.strokeRect(x, y, barWidth, barHeight);
+
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold 14px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'top';
+        this.ctx.fillText(boss.name, this.width / 2, y + barHeight + 4);
+        this.ctx.restore();
+    }
+
+    showBanner(text, simulation, duration = 2000) {
+        this.banner = { text, start: simulation.gameTime, duration };
+    }
+
+    drawBanner(simulation) {
+        if (!this.banner) return;
+
+        const elapsed = simulation.gameTime - this.banner.start;
+        if (elapsed > this.banner.duration) {
+            this.banner = null;
+            return;
+        }
+
+        // Fade in and out over the first and last quarter second
+        const fade = Math.min(1, elapsed / 250, (this.banner.duration - elapsed) / 250);
+        this.ctx.save();
+        this.ctx.globalAlpha = Math.max(0, fade);
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.shadowColor = '#4ecdc4';
+        this.ctx.shadowBlur = 20;
+        this.ctx.font = 'bold 36px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(this.banner.text, this.width / 2, this.height / 3);
+        this.ctx.restore();
+    }
+
+    // achievement is one of Achievements.DEFINITIONS
+    showToast(achievement) {
+        this.toasts.push({ achievement, elapsed: 0 });
+    }
+
+    // A card that slides down from the top edge, holds, then slides back up
+    drawToast() {
+        if (this.toasts.length === 0) return;
+
+        const { achievement, elapsed } = this.toasts[0];
+        const width = 320;
+        const height = 64;
+        const slide = Math.min(1, elapsed / 300, (CanvasRenderer.TOAST_DURATION - elapsed) / 300);
+        const x = (this.width - width) / 2;
+        const y = this.reducedMotion ? 12 : -height + (height + 12) * Math.max(0, slide);
+
+        this.ctx.save();
+        this.ctx.globalAlpha = this.reducedMotion ? Math.max(0, slide) : 1;
+        this.ctx.fillStyle = this.highContrast ? '#000000' : 'rgba(20, 20, 50, 0.9)';
+        this.ctx.strokeStyle = '#ffd93d';
+        this.ctx.lineWidth = 2;
+        this.ctx.beginPath();
+        this.ctx.roundRect(x, y, width, height, 12);
+        this.ctx.fill();
+        this.ctx.stroke();
+
+        this.ctx.textBaseline = 'middle';
+        this.ctx.textAlign = 'center';
+        this.ctx.font = '32px Arial';
+        this.ctx.fillText(achievement.icon, x + 36, y + height / 2);
+
+        this.ctx.textAlign = 'left';
+        this.ctx.fillStyle = '#ffd93d';
+        this.ctx.font = 'bold 12px Arial';
+        this.ctx.fillText('ACHIEVEMENT UNLOCKED', x + 68, y + 20);
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.font = 'bold 18px Arial';
+        this.ctx.fillText(achievement.name, x + 68, y + 42);
+        this.ctx.restore();
+    }
+
+    drawShield(player) {
+        const { x, y } = this.at(player);
+        this.ctx.save();
+        this.ctx.strokeStyle = 'rgba(78, 205, 196, 0.8)';
+        this.ctx.lineWidth = 3;
+        this.ctx.shadowColor = '#4ecdc4';
+        this.ctx.shadowBlur = 15;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, player.width * 0.75, 0, Math.PI * 2);
+        this.ctx.stroke();
+        this.ctx.restore();
+    }
+
+    drawPowerUpTimers(simulation) {
+        // One timer bar per active power-up, stacked beside the speed bar
+        const barWidth = 80;
+        const barHeight = 8;
+        const x = 130;
+        let y = 22;
+
+        for (const [name, remaining] of Object.entries(simulation.powerUps)) {
+            const config = GameSimulation.POWER_UPS[name];
+            const percent = Math.max(0, remaining / config.duration);
+
+            // Opaque, or the emoji takes on whatever translucent fill was drawn before it
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.font = '16px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(config.emoji, x + 8, y + barHeight / 2);
+
+            this.ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+            this.ctx.fillRect(x + 20, y, barWidth, barHeight);
+
+            this.ctx.fillStyle = config.color;
+            this.ctx.fillRect(x + 20, y, barWidth * percent, barHeight);
+
+            y += 18;
+        }
+    }
+
+    // Pickup burst in the collected object's color
+    createParticleEffect(x, y, color) {
+        this.particles.emit('burst', x, y, { colors: [color] }, this.particleScale());
+    }
+
+    // Fiery burst that cools from white to dark red, with sparks, for destroyed ships and enemies
+    createExplosion(x, y) {
+        const scale = this.particleScale();
+        this.particles.emit('burst', x, y, {
+            count: 16,
+            speed: [40, 360],
+            life: [400, 700],
+            drag: 1.5,
+            size: [7, 3],
+            colors: ['#ffffff', '#ffd93d', '#ff6b35', '#8b1a1a']
+        }, scale);
+        this.particles.emit('sparks', x, y, {}, scale);
+    }
+
+    // Expanding ring, e.g. a power-up starting or the shield absorbing a hit
+    createRing(x, y, color) {
+        this.particles.emit('ring', x, y, { colors: ['#ffffff', color] }, this.particleScale());
+    }
+
+    // Small flash where a shot strikes something that survives it
+    createSparks(x, y) {
+        this.particles.emit('sparks', x, y, { angle: [180, 360] }, this.particleScale());
+    }
+
+    showDifficultyIncrease() {
+        if (this.reducedMotion) return;
+
+        this.starfield.warp();
+
+        // Flash effect to indicate difficulty increase
+        this.canvas.style.boxShadow = '0 0 50px rgba(255, 0, 0, 0.8)';
+        setTimeout(() => {
+            this.canvas.style.boxShadow = '0 0 30px rgba(255, 255, 255, 0.2)';
+        }, 200);
+    }
+}
+
+CanvasRenderer.PARTICLE_SCALES = { low: 0.3, medium: 0.6, high: 1 };
+CanvasRenderer.TOAST_DURATION = 3500;
@@ -0,0 +1,215 @@
+/**
+ * Galaxy Defender - Replays
+ * Records the exact input each simulation step received so a run can be
+ * re-simulated from its seed, e.g. by the score server to verify a submission
+ */
+
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { GameSimulation } = isNode ? require('./simulation.js') : global;
+
+    const REPLAY_VERSION = 1;
+
+    // The game always steps the simulation this many milliseconds at a time, so a
+    // replay stepping any other dt was not recorded by it
+    const STEP_MS = 8;
+
+    // Simulation settings a player may change (control sensitivity), with the
+    // accepted range; any other setting in a replay is rejected
+    const REPLAY_SETTINGS = {
+        playerSmoothing: [0.05, 0.5],
+        playerAcceleration: [0.5, 2.5]
+    };
+
+    // Frame flags
+    const FIRE = 1;
+    const AXIS = 2; // value is a moveX steering axis rather than a targetX position
+    const KNOWN_FLAGS = FIRE | AXIS;
+
+    class ReplayError extends Error {
+        constructor(message) {
+            super(message);
+            this.name = 'ReplayError';
+        }
+    }
+
+    // Records steps as [dt, value, flags] frames; identical consecutive frames are
+    // merged into [dt, value, flags, repeat]. Inputs are rounded before they reach
+    // the simulation so the recording reproduces the run exactly. Settings changes
+    // are recorded in between as { settings } frames.
+    class InputRecorder {
+        constructor() {
+            this.reset();
+        }
+
+        reset() {
+            this.frames = [];
+            this.carry = 0;
+        }
+
+        // Returns the { dt, input } to step the simulation with
+        record(dt, input = {}) {
+            // Whole milliseconds, carrying the rounding error so game time does not drift
+            const roundedDt = Math.max(1, Math.round(dt + this.carry));
+            this.carry += dt - roundedDt;
+
+            const axis = typeof input.targetX !== 'number';
+            const value = axis ? Math.round((input.moveX || 0) * 100) / 100 : Math.round(input.targetX);
+            const flags = (input.fire ? FIRE : 0) | (axis ? AXIS : 0);
+
+            const last = this.frames[this.frames.length - 1];
+            if (last && last[0] === roundedDt && last[1] === value && last[2] === flags) {
+                last[3] = (last[3] || 1) + 1;
+            } else {
+                this.frames.push([roundedDt, value, flags]);
+            }
+
+            return { dt: roundedDt, input: decodeInput(value, flags) };
+        }
+
+        recordSettings(settings) {
+            this.frames.push({ settings: { ...settings } });
+        }
+
+        toJSON() {
+            return { version: REPLAY_VERSION, frames: this.frames };
+        }
+    }
+
+    function decodeInput(value, flags) {
+        const fire = Boolean(flags & FIRE);
+        return flags & AXIS ? { moveX: value, fire } : { targetX: value, fire };
+    }
+
+    // Re-runs a recorded game and returns the simulation's result. options are
+    // passed to GameSimulation (level, settings); maxTime caps the replayed game time.
+    // result.replay is the run recorded again from the steps actually taken, so
+    // replays that only differ in how they were written down come out identical.
+    function replayRun(seed, replay, options = {}) {
+        if (!replay || replay.version !== REPLAY_VERSION || !Array.isArray(replay.frames)) {
+            throw new ReplayError(`unsupported replay format (expected version ${REPLAY_VERSION})`);
+        }
+        const maxTime = options.maxTime ?? Infinity;
+
+        // The replay's total length is known up front, so an over-long one is turned
+        // away before any of it is simulated
+        const steps = replay.frames.reduce((total, frame) => {
+            const repeat = Array.isArray(frame) && frame.length === 4 ? frame[3] : 1;
+            return total + (Array.isArray(frame) && Number.isInteger(repeat) && repeat > 0 ? repeat : 0);
+        }, 0);
+        if (steps * STEP_MS > maxTime) {
+            throw new ReplayError('replay exceeds the maximum run length');
+        }
+
+        const simulation = new GameSimulation({ ...options, seed });
+        let result = null;
+        simulation.on('gameOver', (gameResult) => {
+            result = gameResult;
+        });
+        simulation.reset(seed);
+
+        // Control settings are written out again only where they changed what the
+        // next step ran with
+        const frames = [];
+        let settings = controlSettings(simulation.settings);
+        let settingsChanged = false;
+
+        for (let i = 0; i < replay.frames.length; i++) {
+            const frame = replay.frames[i];
+            if (frame && frame.settings) {
+                Object.assign(simulation.settings, checkSettings(frame.settings, i));
+                settingsChanged = true;
+                continue;
+            }
+            if (!Array.isArray(frame) || frame.length < 3 || frame.length > 4) {
+                throw new ReplayError(`frame ${i} is malformed`);
+            }
+            const [dt, value, flags, repeat = 1] = frame;
+            if (!Number.isInteger(dt) || !Number.isFinite(value) ||
+                !Number.isInteger(flags) || !Number.isInteger(repeat) || repeat < 1) {
+                throw new ReplayError(`frame ${i} is malformed`);
+            }
+            if (dt !== STEP_MS) {
+                throw new ReplayError(`frame ${i} steps ${dt} ms instead of ${STEP_MS} ms`);
+            }
+            if (flags & ~KNOWN_FLAGS) {
+                throw new ReplayError(`frame ${i} has unknown flags`);
+            }
+            // Steering speed scales with the axis, so anything past full deflection is forged
+            if (flags & AXIS && Math.abs(value) > 1) {
+                throw new ReplayError(`frame ${i} steers past full speed`);
+            }
+            if (result) {
+                throw new ReplayError(`input continues after the run ended (frame ${i})`);
+            }
+
+            if (repeat > maxTime / dt) {
+                throw new ReplayError(`frame ${i} repeats past the maximum run length`);
+            }
+
+            if (settingsChanged) {
+                const current = controlSettings(simulation.settings);
+                if (current !== settings) {
+                    frames.push({ settings: JSON.parse(current) });
+                    settings = current;
+                }
+                settingsChanged = false;
+            }
+
+            const input = decodeInput(value, flags);
+            let taken = 0;
+            while (taken < repeat && !result) {
+                simulation.step(dt, input);
+                taken++;
+                if (simulation.gameTime > maxTime) {
+                    throw new ReplayError('replay exceeds the maximum run length');
+                }
+            }
+
+            const last = frames[frames.length - 1];
+            if (Array.isArray(last) && last[1] === value && last[2] === flags) {
+                last[3] = (last[3] || 1) + taken;
+            } else {
+                // value + 0 turns -0 into 0, which steps the same
+                frames.push(taken > 1 ? [dt, value + 0, flags, taken] : [dt, value + 0, flags]);
+            }
+        }
+
+        if (!result) {
+            throw new ReplayError('replay ends before the run is over');
+        }
+        return { ...result, replay: { version: REPLAY_VERSION, frames } };
+    }
+
+    // The replayable settings in effect, as a string that compares by value
+    function controlSettings(settings) {
+        const selected = {};
+        for (const key of Object.keys(REPLAY_SETTINGS)) {
+            selected[key] = settings[key];
+        }
+        return JSON.stringify(selected);
+    }
+
+    function checkSettings(settings, index) {
+        for (const [key, value] of Object.entries(settings)) {
+            const range = REPLAY_SETTINGS[key];
+            if (!range) {
+                throw new ReplayError(`setting "${key}" cannot be changed (frame ${index})`);
+            }
+            if (typeof value !== 'number' || value < range[0] || value > range[1]) {
+                throw new ReplayError(`setting "${key}" is out of range (frame ${index})`);
+            }
+        }
+        return settings;
+    }
+
+    const exported = { InputRecorder, ReplayError, replayRun, REPLAY_VERSION, REPLAY_SETTINGS, REPLAY_STEP_MS: STEP_MS };
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = exported;
+    } else {
+        Object.assign(global, exported);
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
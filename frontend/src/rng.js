@@ -0,0 +1,63 @@
+/**
+ * Galaxy Defender - Seeded Random Number Generator
+ * Small deterministic PRNG (mulberry32) so a run can be replayed from its seed
+ */
+
+(function (global) {
+    'use strict';
+
+    class SeededRandom {
+        constructor(seed = SeededRandom.randomSeed()) {
+            this.seed = SeededRandom.normalizeSeed(seed);
+            this.state = this.seed;
+        }
+
+        // Accepts numbers or arbitrary strings ("beat-my-run") and returns a uint32
+        static normalizeSeed(seed) {
+            if (typeof seed === 'number' && Number.isFinite(seed)) {
+                return seed >>> 0;
+            }
+
+            const text = String(seed).trim();
+            if (/^\d+$/.test(text)) {
+                return Number(text) >>> 0;
+            }
+
+            // FNV-1a hash for textual seeds
+            let hash = 0x811c9dc5;
+            for (let i = 0; i < text.length; i++) {
+                hash ^= text.charCodeAt(i);
+                hash = Math.imul(hash, 0x01000193);
+            }
+            return hash >>> 0;
+        }
+
+        static randomSeed() {
+            return Math.floor(Math.random() * 0x100000000) >>> 0;
+        }
+
+        // Returns a float in [0, 1)
+        next() {
+            this.state = (this.state + 0x6d2b79f5) >>> 0;
+            let t = this.state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+        }
+
+        // Returns a float in [min, max)
+        range(min, max) {
+            return min + this.next() * (max - min);
+        }
+
+        reset() {
+            this.state = this.seed;
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { SeededRandom };
+    } else {
+        global.SeededRandom = SeededRandom;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
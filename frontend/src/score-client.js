@@ -0,0 +1,57 @@
+/**
+ * Galaxy Defender - Score Client
+ * Talks to the global leaderboard service in backend/server.js. Every call
+ * resolves to null instead of throwing when the server cannot be reached, so
+ * callers can fall back to the local leaderboard; a request the server refuses
+ * resolves to { error } with its reason.
+ */
+
+class ScoreClient {
+    constructor(baseUrl, options = {}) {
+        this.baseUrl = baseUrl ? baseUrl.replace(/\/$/, '') : null;
+        this.timeout = options.timeout ?? 4000;
+    }
+
+    get enabled() {
+        return Boolean(this.baseUrl);
+    }
+
+    async request(path, init = {}, timeout = this.timeout) {
+        if (!this.enabled) return null;
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        try {
+            const response = await fetch(`${this.baseUrl}${path}`, { ...init, signal: controller.signal });
+            const payload = await response.json();
+            if (!response.ok) {
+                const reason = payload.error || `HTTP ${response.status}`;
+                console.warn(`Score server rejected ${path}: ${reason}`);
+                return { error: reason };
+            }
+            return payload;
+        } catch (error) {
+            console.warn('Score server unreachable:', error.message);
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Resolves to { mode, label, entries, modes } or null
+    async list(mode) {
+        const response = await this.request(`/api/scores?mode=${encodeURIComponent(mode)}`);
+        return response && !response.error ? response : null;
+    }
+
+    // Resolves to { rank, entries }, { error } when the run is refused, or null. The server replays the recorded
+    // input (see replay.js) and rejects results it cannot reproduce.
+    submit(name, result, replay) {
+        const { score, time, level, seed, mode } = result;
+        return this.request('/api/scores', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, score, time, level, seed, mode, replay })
+        }, this.timeout * 4); // replaying a long run takes the server a while
+    }
+}
@@ -0,0 +1,116 @@
+/**
+ * Galaxy Defender - Settings Panel
+ * Binds the settings screen's form controls (marked with data-setting) to a Settings store,
+ * and its key binding buttons (marked with data-binding) to an InputManager
+ */
+
+// Display names for key codes that don't read well as they are
+const KEY_LABELS = {
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    Escape: 'Esc',
+    Backquote: '`',
+    Minus: '-',
+    Equal: '=',
+    Comma: ',',
+    Period: '.',
+    Slash: '/',
+    Semicolon: ';',
+    Quote: "'",
+    BracketLeft: '[',
+    BracketRight: ']',
+    Backslash: '\\'
+};
+
+// 'KeyA' -> 'A', 'Digit1' -> '1', 'ShiftLeft' -> 'Shift Left'
+function keyLabel(code) {
+    if (KEY_LABELS[code]) return KEY_LABELS[code];
+    if (/^(Key|Digit)/.test(code)) return code.slice(-1);
+    return code.replace(/([a-z])([A-Z])/g, '$1 $2');
+}
+
+class SettingsPanel {
+    constructor(doc, settings, input) {
+        this.settings = settings;
+        this.input = input;
+        this.screen = doc.getElementById('settingsScreen');
+        this.controls = Array.from(this.screen.querySelectorAll('[data-setting]'));
+        this.bindingButtons = Array.from(this.screen.querySelectorAll('[data-binding]'));
+        this.bindingButtons.forEach((button) => {
+            button.addEventListener('click', () => this.captureBinding(button));
+        });
+
+        this.controls.forEach((control) => {
+            const event = control.type === 'checkbox' || control.tagName === 'SELECT' ? 'change' : 'input';
+            control.addEventListener(event, () => this.settings.set(control.dataset.setting, this.readControl(control)));
+        });
+
+        // Changes made elsewhere (e.g. the mute key) show up while the panel is open
+        this.settings.on('change', () => this.refresh());
+        this.refresh();
+    }
+
+    // Rebinds an action to the next key pressed
+    async captureBinding(button) {
+        if (this.input.pendingCapture) return;
+
+        // Unfocused, so the key being bound (Space, Enter) cannot click the button again
+        button.textContent = 'Press a key… (Esc cancels)';
+        button.classList.add('capturing');
+        button.blur();
+
+        await this.input.captureBinding(button.dataset.binding);
+
+        button.classList.remove('capturing');
+        this.refreshBindings();
+        window.addEventListener('keyup', () => button.focus(), { once: true });
+    }
+
+    refreshBindings() {
+        this.bindingButtons.forEach((button) => {
+            button.textContent = this.input.bindings[button.dataset.binding].map(keyLabel).join(', ');
+        });
+    }
+
+    readControl(control) {
+        if (control.type === 'checkbox') return control.checked;
+        if (control.type === 'range') return Number(control.value);
+        return control.value;
+    }
+
+    refresh() {
+        this.controls.forEach((control) => {
+            const value = this.settings.get(control.dataset.setting);
+            if (control.type === 'checkbox') {
+                control.checked = value;
+            } else {
+                control.value = value;
+            }
+
+            // Ranges show their value next to the slider, e.g. "80%" or "1.5x"
+            const output = control.parentElement.querySelector('output');
+            if (output) {
+                output.textContent = control.dataset.format === 'percent'
+                    ? `${Math.round(value * 100)}%`
+                    : `${value}x`;
+            }
+        });
+    }
+
+    get isOpen() {
+        return !this.screen.classList.contains('hidden');
+    }
+
+    show() {
+        this.refresh();
+        this.refreshBindings();
+        this.screen.classList.remove('hidden');
+    }
+
+    hide() {
+        this.input.cancelCapture();
+        this.screen.classList.add('hidden');
+    }
+}
@@ -0,0 +1,126 @@
+/**
+ * Galaxy Defender - Settings
+ * User options persisted in localStorage as a versioned object; listeners are
+ * notified on every change so the game can apply it without restarting
+ */
+
+const SETTINGS_VERSION = 1;
+
+// Valid range or values for each option, and its default
+const SETTINGS_SCHEMA = {
+    sensitivity: { min: 0.5, max: 2, default: 1 },
+    masterVolume: { min: 0, max: 1, default: 0.8 },
+    musicVolume: { min: 0, max: 1, default: 0.5 },
+    sfxVolume: { min: 0, max: 1, default: 0.8 },
+    muted: { type: 'boolean', default: false },
+    particleQuality: { values: ['low', 'medium', 'high'], default: 'high' },
+    showFps: { type: 'boolean', default: false },
+    // Follows the operating system's preference until the player chooses otherwise
+    reducedMotion: {
+        type: 'boolean',
+        default: typeof window !== 'undefined' && Boolean(window.matchMedia) &&
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches
+    },
+    highContrast: { type: 'boolean', default: false },
+    // 'drag' steers by dragging anywhere; 'joystick' shows a stick and fire button
+    touchControls: { values: ['drag', 'joystick'], default: 'drag' }
+};
+
+// Upgrades stored settings one version at a time; the key is the version upgraded from
+const SETTINGS_MIGRATIONS = {};
+
+class Settings {
+    constructor(options = {}) {
+        // Looked up in load(): reading window.localStorage throws where storage is blocked
+        this.storage = options.storage || null;
+        this.storageKey = options.storageKey || 'galaxyDefenderSettings';
+        this.values = this.load();
+        this.listeners = {};
+    }
+
+    static defaults() {
+        const values = {};
+        for (const [key, schema] of Object.entries(SETTINGS_SCHEMA)) {
+            values[key] = schema.default;
+        }
+        return values;
+    }
+
+    static isValid(key, value) {
+        const schema = SETTINGS_SCHEMA[key];
+        if (!schema) return false;
+        if (schema.type === 'boolean') return typeof value === 'boolean';
+        if (schema.values) return schema.values.includes(value);
+        return typeof value === 'number' && value >= schema.min && value <= schema.max;
+    }
+
+    load() {
+        const values = Settings.defaults();
+        try {
+            this.storage = this.storage || browserStorage();
+            let saved = JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+            if (!saved) return values;
+
+            while (saved.version < SETTINGS_VERSION && SETTINGS_MIGRATIONS[saved.version]) {
+                saved = SETTINGS_MIGRATIONS[saved.version](saved);
+            }
+
+            // Keep every saved value that is still valid; anything else falls back to its default
+            for (const key of Object.keys(values)) {
+                if (Settings.isValid(key, saved[key])) {
+                    values[key] = saved[key];
+                }
+            }
+        } catch (error) {
+            console.warn('Ignoring invalid saved settings:', error);
+        }
+        return values;
+    }
+
+    // Only options that differ from their defaults are stored, so defaults that
+    // follow the system (reduced motion) keep following it
+    save() {
+        const changed = { version: SETTINGS_VERSION };
+        for (const [key, value] of Object.entries(this.values)) {
+            if (value !== SETTINGS_SCHEMA[key].default) changed[key] = value;
+        }
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(changed));
+        } catch (error) {
+            console.warn('Could not save settings:', error);
+        }
+    }
+
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+    }
+
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach((handler) => handler(payload));
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    set(key, value) {
+        if (!Settings.isValid(key, value)) {
+            throw new Error(`Invalid value for setting ${key}: ${value}`);
+        }
+        if (this.values[key] === value) return;
+
+        this.values[key] = value;
+        this.save();
+        this.emit('change', { key, value });
+    }
+
+    reset() {
+        const defaults = Settings.defaults();
+        for (const key of Object.keys(defaults)) {
+            this.set(key, defaults[key]);
+        }
+    }
+}
+
+Settings.VERSION = SETTINGS_VERSION;
+Settings.SCHEMA = SETTINGS_SCHEMA;
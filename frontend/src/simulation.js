@@ -0,0 +1,866 @@
+/**
+ * Galaxy Defender - Game Simulation
+ * Pure game rules (player movement, spawning, collisions, scoring, difficulty)
+ * with no DOM or canvas access, so it can be stepped in the browser or in Node
+ */
+
+(function (global) {
+    'use strict';
+
+    const isNode = typeof module !== 'undefined' && module.exports;
+    const { SeededRandom } = isNode ? require('./rng.js') : global;
+    const { ObjectPool } = isNode ? require('./object-pool.js') : global;
+    const { LevelSequencer } = isNode ? require('./levels.js') : global;
+    const { Boss, BOSS_ORDER } = isNode ? require('./bosses.js') : global;
+    const { resolveBehaviors } = isNode ? require('./behaviors.js') : global;
+    const { DEFAULT_HITBOX, validateHitbox, collides } = isNode ? require('./collision.js') : global;
+    const { SpatialHash } = isNode ? require('./spatial-hash.js') : global;
+
+    // Rules are tuned per 60 Hz frame; step() scales them by the real delta
+    const FRAME_MS = 1000 / 60;
+
+    // Wall-clock timer for performance stats only; never affects the rules
+    const clock = typeof performance !== 'undefined' ? () => performance.now() : () => Date.now();
+
+    const DEFAULT_OBJECT_TYPES = {
+        // hp/killPoints make a type shootable; types without hp ignore projectiles.
+        // behaviors (see behaviors.js) default to ['fall'].
+        // hitbox (see collision.js) traces the emoji and defaults to a centred circle.
+        // solid types push each other apart instead of overlapping (see separateObjects).
+        asteroid: {
+            emoji: '☄️', points: 0, dangerous: true, solid: true, weight: 0.4, hp: 2, killPoints: 20,
+            hitbox: { shape: 'circle', radius: 0.38 }
+        },
+        ufo: {
+            emoji: '🛸', points: 0, dangerous: true, solid: true, weight: 0.3, hp: 3, killPoints: 40,
+            behaviors: ['fall', { name: 'zigzag', speed: 2, period: 900 }],
+            hitbox: { shape: 'box', width: 0.9, height: 0.45, y: 0.05 }
+        },
+        homingAsteroid: {
+            emoji: '🪨', points: 0, dangerous: true, solid: true, weight: 0.06, hp: 2, killPoints: 30,
+            behaviors: [{ name: 'fall', factor: 0.8 }, 'homing'],
+            hitbox: { shape: 'circle', radius: 0.4 }
+        },
+        drifter: {
+            emoji: '👾', points: 0, dangerous: true, solid: true, weight: 0.06, hp: 1, killPoints: 30,
+            behaviors: ['fall', { name: 'sine', amplitude: 70 }],
+            hitbox: { shape: 'box', width: 0.8, height: 0.7 }
+        },
+        satellite: {
+            emoji: '🛰️', points: 0, dangerous: true, solid: true, weight: 0.04, hp: 2, killPoints: 35,
+            behaviors: ['sideEntry', { name: 'fall', factor: 0.3 }],
+            hitbox: [
+                { shape: 'box', width: 0.9, height: 0.3 },
+                { shape: 'circle', radius: 0.2 }
+            ]
+        },
+        star: {
+            emoji: '⭐', points: 50, dangerous: false, weight: 0.3, magnetic: true,
+            hitbox: { shape: 'polygon', points: [[0, -0.45], [0.43, -0.1], [0.27, 0.4], [-0.27, 0.4], [-0.43, -0.1]] }
+        },
+
+        // Timed power-ups; the powerUp key refers to POWER_UPS below. Pick-ups get a
+        // generous circle so grabbing them never feels missed.
+        shield: {
+            emoji: '🛡️', points: 0, dangerous: false, weight: 0.025, powerUp: 'shield',
+            hitbox: { shape: 'circle', radius: 0.48 }
+        },
+        magnet: {
+            emoji: '🧲', points: 0, dangerous: false, weight: 0.025, powerUp: 'magnet',
+            hitbox: { shape: 'circle', radius: 0.48 }
+        },
+        slowMotion: {
+            emoji: '⏳', points: 0, dangerous: false, weight: 0.025, powerUp: 'slowMotion',
+            hitbox: { shape: 'circle', radius: 0.48 }
+        },
+        doubleScore: {
+            emoji: '💎', points: 0, dangerous: false, weight: 0.025, powerUp: 'doubleScore',
+            hitbox: { shape: 'circle', radius: 0.48 }
+        },
+
+        // Only ever fired by bosses (weight 0 keeps it out of random spawns)
+        bossShot: {
+            emoji: '🔴', points: 0, dangerous: true, weight: 0, size: 18,
+            hitbox: { shape: 'circle', radius: 0.4 }
+        }
+    };
+
+    // The rocket's nose, body and fins; narrower than its 40px box so near
+    // misses past the nose do not count as hits
+    const PLAYER_HITBOX = {
+        shape: 'polygon',
+        points: [[0, -0.45], [0.18, -0.15], [0.38, 0.35], [-0.38, 0.35], [-0.18, -0.15]]
+    };
+
+    // Player shots are thin bolts
+    const PROJECTILE_HITBOX = { shape: 'box', width: 1, height: 1 };
+
+    // Solid objects keep apart by this fraction of their size each, pushed sideways
+    // at SEPARATION_SPEED pixels per 60 Hz frame while closer
+    const SOLID_RADIUS = 0.4;
+    const SEPARATION_SPEED = 1.5;
+
+    // A hazard passing within this many pixels of the ship's bounds without touching it is a near miss
+    const NEAR_MISS_MARGIN = 15;
+
+    const POWER_UPS = {
+        shield: { emoji: '🛡️', duration: 10000, color: '#4ecdc4' }, // absorbs one hit
+        magnet: { emoji: '🧲', duration: 8000, color: '#ff6b6b', radius: 250, strength: 5 },
+        slowMotion: { emoji: '⏳', duration: 6000, color: '#a29bfe', speedScale: 0.5 },
+        doubleScore: { emoji: '💎', duration: 10000, color: '#ffd93d', multiplier: 2 }
+    };
+
+    const DEFAULT_SETTINGS = {
+        width: 800,
+        height: 600,
+        baseSpeed: 2,
+        baseSpawnRate: 0.02,
+        difficultyInterval: 10000, // 10 seconds in milliseconds
+        difficultyStep: 0.2,
+        speedStep: 0.5,
+        spawnRateStep: 0.005,
+        playerSmoothing: 0.15,
+        playerAcceleration: 1.2,
+        playerMaxSpeed: 9,
+        playerFriction: 0.8,
+        fireCooldown: 250, // milliseconds between shots
+        projectileSpeed: 10,
+        projectileDamage: 1,
+        lives: 3,
+        invulnerabilityDuration: 2000, // milliseconds of immunity after losing a life
+        bossEvery: 5 // a boss arrives on every Nth level (0 disables bosses)
+    };
+
+    class GameSimulation {
+        constructor(options = {}) {
+            this.settings = { ...DEFAULT_SETTINGS, ...options.settings };
+            this.width = options.width ?? this.settings.width;
+            this.height = options.height ?? this.settings.height;
+            this.objectTypes = { ...DEFAULT_OBJECT_TYPES, ...options.objectTypes };
+
+            // Movement behaviors resolved once per type
+            this.behaviors = {};
+            for (const [name, type] of Object.entries(this.objectTypes)) {
+                this.behaviors[name] = resolveBehaviors(type.behaviors, name);
+                if (type.hitbox) validateHitbox(type.hitbox, `object type "${name}"`);
+            }
+
+            // Random number generation - a fixed seed replays the exact same run
+            this.seed = options.seed ?? null;
+            this.createRng = options.createRng || ((seed) => new SeededRandom(seed));
+            this.runSeed = null;
+            this.rng = null;
+
+            // Optional scripted level (see levels.js); without one difficulty ramps over time
+            this.levelData = options.level || null;
+            this.sequencer = null;
+
+            // Benchmark mode keeps this many objects on the playfield and the player
+            // cannot be hurt, to measure step time at high object counts
+            this.benchmarkObjects = options.benchmark || 0;
+
+            // Active boss encounter, if any; normal spawning pauses while it lives
+            this.boss = null;
+            this.bossEncounters = 0;
+
+            // Game state
+            this.state = 'idle'; // 'idle', 'playing', 'gameOver'
+            this.score = 0;
+            this.gameTime = 0;
+            this.level = 1;
+            this.currentSpeed = this.settings.baseSpeed;
+            this.objectSpawnRate = this.settings.baseSpawnRate;
+            this.difficultyMultiplier = 1;
+            this.lastSpeedIncrease = 0;
+            this.lives = this.settings.lives;
+            this.invulnerableTime = 0;
+
+            this.player = {
+                x: this.width / 2,
+                y: this.height - 80,
+                width: 40,
+                height: 40,
+                vx: 0,
+                prevX: this.width / 2,
+                prevY: this.height - 80,
+                emoji: '🚀',
+                hitbox: PLAYER_HITBOX
+            };
+            this.targetX = this.player.x;
+
+            this.objectPool = new ObjectPool(
+                () => ({
+                    x: 0,
+                    y: 0,
+                    prevX: 0,
+                    prevY: 0,
+                    width: 35,
+                    height: 35,
+                    type: 'star',
+                    emoji: '⭐',
+                    speed: 0,
+                    rotation: 0,
+                    hp: 0,
+                    hitbox: DEFAULT_HITBOX,
+
+                    // Movement behavior state
+                    age: 0,
+                    vx: 0,
+                    direction: 1,
+                    baseX: 0,
+                    phase: 0
+                }),
+                (obj) => {
+                    obj.x = 0;
+                    obj.y = 0;
+                    obj.rotation = 0;
+                    obj.hp = 0;
+                    obj.age = 0;
+                    obj.vx = 0;
+                    obj.direction = 1;
+                    obj.baseX = 0;
+                    obj.phase = 0;
+                },
+                100
+            );
+
+            // Player projectiles
+            this.projectilePool = new ObjectPool(
+                () => ({
+                    x: 0,
+                    y: 0,
+                    prevX: 0,
+                    prevY: 0,
+                    width: 6,
+                    height: 16,
+                    speed: 0,
+                    damage: 1,
+                    hitbox: PROJECTILE_HITBOX
+                }),
+                (projectile) => {
+                    projectile.x = 0;
+                    projectile.y = 0;
+                },
+                30
+            );
+            this.fireCooldown = 0;
+
+            // Active power-ups: name -> remaining milliseconds
+            this.powerUps = {};
+
+            // Broadphase over the objects, rebuilt each step once they have moved
+            this.broadphase = new SpatialHash(options.cellSize || 64);
+            this.candidates = [];
+
+            // Performance stats (see getPerformanceStats)
+            this.stepTime = 0;
+            this.averageStepTime = 0;
+            this.collisionChecks = 0;
+
+            this.listeners = {};
+        }
+
+        get objects() {
+            return this.objectPool.active;
+        }
+
+        get projectiles() {
+            return this.projectilePool.active;
+        }
+
+        on(event, handler) {
+            (this.listeners[event] = this.listeners[event] || []).push(handler);
+            return () => this.off(event, handler);
+        }
+
+        off(event, handler) {
+            const handlers = this.listeners[event];
+            if (handlers) {
+                this.listeners[event] = handlers.filter((h) => h !== handler);
+            }
+        }
+
+        emit(event, payload) {
+            (this.listeners[event] || []).forEach((handler) => handler(payload));
+        }
+
+        reset(seed = this.seed) {
+            this.runSeed = SeededRandom.normalizeSeed(seed ?? SeededRandom.randomSeed());
+            this.rng = this.createRng(this.runSeed);
+
+            this.state = 'playing';
+            this.score = 0;
+            this.gameTime = 0;
+            this.level = 1;
+            this.currentSpeed = this.settings.baseSpeed;
+            this.objectSpawnRate = this.settings.baseSpawnRate;
+            this.difficultyMultiplier = 1;
+            this.lastSpeedIncrease = 0;
+            this.lives = this.settings.lives;
+            this.invulnerableTime = 0;
+
+            this.player.x = this.width / 2;
+            this.player.y = this.height - 80;
+            this.player.vx = 0;
+            this.player.prevX = this.player.x;
+            this.player.prevY = this.player.y;
+            this.targetX = this.player.x;
+
+            this.objectPool.releaseAll();
+            this.projectilePool.releaseAll();
+            this.broadphase.clear();
+            this.fireCooldown = 0;
+            this.powerUps = {};
+            this.boss = null;
+            this.bossEncounters = 0;
+            this.emit('reset', { seed: this.runSeed });
+
+            this.sequencer = this.levelData ? new LevelSequencer(this.levelData, this) : null;
+        }
+
+        // Takes effect from the next reset()
+        setLevel(level) {
+            this.levelData = level || null;
+        }
+
+        // Identifies the game mode for per-mode records: 'endless' or the level's id
+        static modeFor(level) {
+            if (!level) return 'endless';
+            const slug = (level.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+            return level.id || slug || 'level';
+        }
+
+        get mode() {
+            return GameSimulation.modeFor(this.levelData);
+        }
+
+        get modeLabel() {
+            return this.levelData ? (this.levelData.name || this.mode) : 'Endless';
+        }
+
+        // Advances the game by dt milliseconds. input.targetX is the desired
+        // player x in playfield coordinates (mouse/touch); input.moveX is a
+        // -1..1 steering axis (keyboard/gamepad) that accelerates the ship;
+        // input.fire holds the trigger.
+        step(dt = FRAME_MS, input = {}) {
+            if (this.state !== 'playing') return;
+
+            const started = clock();
+            this.collisionChecks = 0;
+            this.advance(dt, input);
+
+            this.stepTime = clock() - started;
+            this.averageStepTime += (this.stepTime - this.averageStepTime) * 0.1;
+        }
+
+        advance(dt, input) {
+            const frames = dt / FRAME_MS;
+            this.savePositions();
+            this.gameTime += dt;
+
+            this.updatePowerUps(dt);
+            this.invulnerableTime = Math.max(0, this.invulnerableTime - dt);
+            this.updatePlayer(input, frames);
+            this.updateWeapons(input, dt, frames);
+            if (this.boss) {
+                this.updateBoss(dt, frames);
+            } else if (this.sequencer) {
+                this.sequencer.update(dt * this.speedScale);
+            } else if (this.benchmarkObjects) {
+                this.fillBenchmark();
+            } else {
+                this.spawnObject(frames);
+            }
+            this.updateObjects(frames);
+            if (this.state !== 'playing' || this.sequencer || this.boss) return;
+            this.updateDifficulty();
+        }
+
+        updatePlayer(input, frames) {
+            const player = this.player;
+            const halfWidth = player.width / 2;
+            const moveX = input.moveX || 0;
+
+            if (moveX !== 0 || (typeof input.targetX !== 'number' && player.vx !== 0)) {
+                // Steering axis: accelerate up to a top speed, coast to a stop on release
+                if (moveX !== 0) {
+                    const maxSpeed = this.settings.playerMaxSpeed * Math.abs(moveX);
+                    player.vx += moveX * this.settings.playerAcceleration * frames;
+                    player.vx = Math.max(-maxSpeed, Math.min(maxSpeed, player.vx));
+                } else {
+                    player.vx *= Math.pow(this.settings.playerFriction, frames);
+                    if (Math.abs(player.vx) < 0.05) player.vx = 0;
+                }
+                player.x += player.vx * frames;
+                this.targetX = player.x;
+            } else {
+                player.vx = 0;
+                if (typeof input.targetX === 'number') {
+                    this.targetX = Math.max(halfWidth, Math.min(this.width - halfWidth, input.targetX));
+                }
+
+                // Smooth horizontal movement towards the target, frame-rate independent
+                const smoothing = 1 - Math.pow(1 - this.settings.playerSmoothing, frames);
+                player.x += (this.targetX - player.x) * smoothing;
+            }
+
+            // Ensure player stays within bounds, stopping dead against the walls
+            if (player.x < halfWidth || player.x > this.width - halfWidth) {
+                player.x = Math.max(halfWidth, Math.min(this.width - halfWidth, player.x));
+                player.vx = 0;
+            }
+        }
+
+        updateWeapons(input, dt, frames) {
+            this.fireCooldown = Math.max(0, this.fireCooldown - dt);
+
+            if (input.fire && this.fireCooldown === 0) {
+                const projectile = this.projectilePool.get();
+                projectile.x = this.player.x;
+                projectile.y = this.player.y - this.player.height / 2;
+                projectile.prevX = projectile.x;
+                projectile.prevY = projectile.y;
+                projectile.speed = this.settings.projectileSpeed;
+                projectile.damage = this.settings.projectileDamage;
+                this.fireCooldown = this.settings.fireCooldown;
+
+                this.emit('fire', { projectile });
+            }
+
+            const activeProjectiles = [...this.projectilePool.active];
+            for (const projectile of activeProjectiles) {
+                projectile.y -= projectile.speed * frames;
+
+                if (projectile.y < -projectile.height) {
+                    this.projectilePool.release(projectile);
+                }
+            }
+        }
+
+        isPowerUpActive(name) {
+            return (this.powerUps[name] || 0) > 0;
+        }
+
+        // Slow-motion scales how fast hazards fall and arrive
+        get speedScale() {
+            return this.isPowerUpActive('slowMotion') ? POWER_UPS.slowMotion.speedScale : 1;
+        }
+
+        get scoreMultiplier() {
+            return this.isPowerUpActive('doubleScore') ? POWER_UPS.doubleScore.multiplier : 1;
+        }
+
+        activatePowerUp(name) {
+            this.powerUps[name] = POWER_UPS[name].duration;
+            this.emit('powerUp', { name });
+        }
+
+        updatePowerUps(dt) {
+            for (const name of Object.keys(this.powerUps)) {
+                this.powerUps[name] -= dt;
+                if (this.powerUps[name] <= 0) {
+                    delete this.powerUps[name];
+                    this.emit('powerUpEnd', { name });
+                }
+            }
+        }
+
+        get isInvulnerable() {
+            return this.invulnerableTime > 0;
+        }
+
+        addScore(points) {
+            const awarded = points * this.scoreMultiplier;
+            this.score += awarded;
+            return awarded;
+        }
+
+        spawnObject(frames) {
+            // Adjust spawn rate based on difficulty
+            const adjustedSpawnRate = this.objectSpawnRate * this.difficultyMultiplier * this.speedScale;
+
+            if (this.rng.next() < adjustedSpawnRate * frames) {
+                const typeName = this.pickObjectType();
+                const x = this.rng.next() * (this.width - 40) + 20;
+                const speed = this.currentSpeed + this.rng.next() * 2;
+                this.createObject(typeName, x, -40, speed);
+            }
+        }
+
+        createObject(typeName, x, y, speed) {
+            const type = this.objectTypes[typeName];
+
+            const object = this.objectPool.get();
+            object.x = x;
+            object.y = y;
+            object.type = typeName;
+            object.emoji = type.emoji;
+            object.width = object.height = type.size || 35;
+            object.speed = speed;
+            object.rotation = this.rng.next() * Math.PI * 2;
+            object.hp = type.hp || 0;
+            object.hitbox = type.hitbox || DEFAULT_HITBOX;
+            object.nearMiss = 'none'; // 'close' while grazing the ship, 'done' once counted or touched
+
+            for (const { behavior, params } of this.behaviors[typeName]) {
+                if (behavior.init) behavior.init(object, params, this);
+            }
+            object.prevX = object.x;
+            object.prevY = object.y;
+
+            this.emit('spawn', { object });
+            return object;
+        }
+
+        // Select object type based on weighted probability
+        pickObjectType() {
+            const entries = Object.entries(this.objectTypes);
+            const totalWeight = entries.reduce((sum, [, type]) => sum + type.weight, 0);
+            const rand = this.rng.next() * totalWeight;
+            let cumulativeWeight = 0;
+
+            for (const [name, type] of entries) {
+                cumulativeWeight += type.weight;
+                if (rand <= cumulativeWeight) {
+                    return name;
+                }
+            }
+            return entries[0][0];
+        }
+
+        updateObjects(frames) {
+            const activeObjects = [...this.objectPool.active];
+            const speedScale = this.speedScale;
+            const magnetActive = this.isPowerUpActive('magnet');
+
+            // Everything moves first so collisions are tested against this step's positions
+            for (let i = activeObjects.length - 1; i >= 0; i--) {
+                const obj = activeObjects[i];
+                const type = this.objectTypes[obj.type];
+
+                // Move object by its type's behaviors with a slight rotation for visual effect
+                const scaledFrames = frames * speedScale;
+                obj.age += scaledFrames * FRAME_MS;
+                for (const { behavior, params } of this.behaviors[obj.type]) {
+                    behavior.update(obj, params, this, scaledFrames);
+                }
+                obj.rotation += 0.05 * scaledFrames;
+
+                if (magnetActive && type.magnetic) {
+                    this.applyMagnet(obj, frames);
+                }
+
+                // Remove objects that are off screen (side entries start just outside)
+                if (obj.y > this.height + 50 || obj.x < -100 || obj.x > this.width + 100) {
+                    this.releaseObject(obj);
+                }
+            }
+
+            this.broadphase.clear();
+            for (const obj of this.objectPool.active) {
+                this.broadphase.insert(obj);
+            }
+
+            this.checkProjectileHits();
+            this.checkPlayerCollisions();
+            if (this.state === 'playing') {
+                this.checkNearMisses();
+                this.separateObjects(frames);
+            }
+        }
+
+        // Eases overlapping solid objects apart sideways, so hazards don't stack into
+        // one. Moves are small and made after this step's collision tests, so the
+        // broadphase stays valid until the next rebuild. Spacing only needs to look
+        // right, so it compares circles rather than running the exact hitbox test.
+        separateObjects(frames) {
+            const push = SEPARATION_SPEED * frames / 2;
+            this.broadphase.forEachPair((a, b) => {
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const spacing = (a.width + b.width) * SOLID_RADIUS;
+                if (dx * dx + dy * dy >= spacing * spacing) return;
+                if (!this.objectTypes[a.type].solid || !this.objectTypes[b.type].solid) return;
+
+                const direction = dx < 0 ? -1 : 1;
+                this.shiftObject(a, -push * direction);
+                this.shiftObject(b, push * direction);
+            });
+        }
+
+        // Moves an object sideways, along with the centre line a 'sine' behavior swings around
+        shiftObject(obj, dx) {
+            obj.x += dx;
+            obj.baseX += dx;
+        }
+
+        // Returns an object to the pool, taking it out of the broadphase too
+        releaseObject(obj) {
+            this.broadphase.remove(obj);
+            this.objectPool.release(obj);
+        }
+
+        // Objects that may overlap an entity, from the broadphase as of this step's
+        // rebuild; behaviors that react to their neighbours can use it too.
+        // The returned array is reused by the next call.
+        nearbyObjects(entity) {
+            return this.broadphase.query(entity, this.candidates);
+        }
+
+        checkPlayerCollisions() {
+            for (const obj of [...this.nearbyObjects(this.player)]) {
+                if (!this.checkCollision(this.player, obj)) continue;
+
+                const type = this.objectTypes[obj.type];
+                if (type.dangerous) {
+                    const outcome = this.hitPlayer(obj);
+                    if (outcome === 'ignored') {
+                        obj.nearMiss = 'done';
+                        continue;
+                    }
+
+                    this.releaseObject(obj);
+                    if (outcome === 'dead') return;
+                    continue;
+                }
+
+                if (type.powerUp) {
+                    this.activatePowerUp(type.powerUp);
+                }
+
+                // Collect good objects (stars, power-ups)
+                const points = this.addScore(type.points);
+                this.emit('collect', { object: obj, points, x: obj.x, y: obj.y });
+                this.releaseObject(obj);
+            }
+        }
+
+        // Emits 'nearMiss' when a hazard that came close to the ship moves away again untouched
+        checkNearMisses() {
+            if (this.benchmarkObjects) return;
+
+            const player = this.player;
+            for (const obj of this.objectPool.active) {
+                if (obj.nearMiss === 'done' || !this.objectTypes[obj.type].dangerous) continue;
+
+                const close = Math.abs(obj.x - player.x) < (obj.width + player.width) / 2 + NEAR_MISS_MARGIN &&
+                    Math.abs(obj.y - player.y) < (obj.height + player.height) / 2 + NEAR_MISS_MARGIN;
+                if (close) {
+                    obj.nearMiss = 'close';
+                } else if (obj.nearMiss === 'close') {
+                    obj.nearMiss = 'done';
+                    this.emit('nearMiss', { object: obj, x: obj.x, y: obj.y });
+                }
+            }
+        }
+
+        // Resolves contact with a hazard: 'ignored' while invulnerable, 'shielded'
+        // when the shield soaks it up, otherwise a life is lost ('hit' or 'dead')
+        hitPlayer(cause) {
+            // Hazards pass harmlessly through a ship that was just hit (or one being benchmarked)
+            if (this.isInvulnerable || this.benchmarkObjects) {
+                return 'ignored';
+            }
+
+            if (this.isPowerUpActive('shield')) {
+                // The shield absorbs the hit and is used up
+                delete this.powerUps.shield;
+                this.emit('shieldHit', { object: cause, x: cause.x, y: cause.y });
+                return 'shielded';
+            }
+
+            return this.loseLife(cause) ? 'dead' : 'hit';
+        }
+
+        // Returns true when that was the last life and the game is over
+        loseLife(cause) {
+            this.lives--;
+            this.emit('lifeLost', { lives: this.lives, x: this.player.x, y: this.player.y });
+
+            if (this.lives <= 0) {
+                this.gameOver(cause);
+                return true;
+            }
+
+            this.invulnerableTime = this.settings.invulnerabilityDuration;
+            return false;
+        }
+
+        // Pulls a collectible towards the player while the magnet is active
+        applyMagnet(obj, frames) {
+            const { radius, strength } = POWER_UPS.magnet;
+            const dx = this.player.x - obj.x;
+            const dy = this.player.y - obj.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            if (distance > 0 && distance < radius) {
+                const pull = Math.min(distance, strength * frames);
+                obj.x += (dx / distance) * pull;
+                obj.y += (dy / distance) * pull;
+            }
+        }
+
+        // Each projectile damages the first shootable object it touches
+        checkProjectileHits() {
+            for (const projectile of [...this.projectilePool.active]) {
+                for (const obj of this.nearbyObjects(projectile)) {
+                    const type = this.objectTypes[obj.type];
+                    if (!type.hp || !this.checkCollision(projectile, obj)) continue;
+
+                    obj.hp -= projectile.damage;
+                    this.projectilePool.release(projectile);
+
+                    if (obj.hp <= 0) {
+                        const points = this.addScore(type.killPoints || 0);
+                        this.emit('destroy', { object: obj, points, x: obj.x, y: obj.y });
+                        this.releaseObject(obj);
+                    } else {
+                        this.emit('hit', { object: obj, x: obj.x, y: obj.y });
+                    }
+                    break;
+                }
+            }
+        }
+
+        // Tops the playfield up to the benchmark's object count, scattered over the whole screen
+        fillBenchmark() {
+            while (this.objectPool.getActiveCount() < this.benchmarkObjects) {
+                const x = this.rng.next() * this.width;
+                const y = this.rng.next() * this.height;
+                this.createObject(this.pickObjectType(), x, y, this.currentSpeed + this.rng.next() * 2);
+            }
+        }
+
+        // Remembers where everything was before this step so a renderer can draw
+        // positions part-way between two steps
+        savePositions() {
+            const save = (entity) => {
+                entity.prevX = entity.x;
+                entity.prevY = entity.y;
+            };
+            save(this.player);
+            this.objectPool.active.forEach(save);
+            this.projectilePool.active.forEach(save);
+            if (this.boss) save(this.boss);
+        }
+
+        // Tests the entities' hitbox shapes (see collision.js)
+        checkCollision(a, b) {
+            this.collisionChecks++;
+            return collides(a, b);
+        }
+
+        updateDifficulty() {
+            // Increase difficulty every 10 seconds
+            if (this.gameTime - this.lastSpeedIncrease >= this.settings.difficultyInterval) {
+                this.lastSpeedIncrease = this.gameTime;
+                this.difficultyMultiplier += this.settings.difficultyStep;
+                this.currentSpeed += this.settings.speedStep;
+                this.objectSpawnRate += this.settings.spawnRateStep;
+                this.advanceLevel();
+            }
+        }
+
+        advanceLevel() {
+            this.level++;
+            this.emit('levelUp', { level: this.level });
+
+            const bossEvery = this.settings.bossEvery;
+            if (bossEvery > 0 && this.level % bossEvery === 0) {
+                this.startBoss();
+            }
+        }
+
+        startBoss() {
+            const typeName = BOSS_ORDER[this.bossEncounters % BOSS_ORDER.length];
+            this.bossEncounters++;
+            this.boss = new Boss(typeName, this, this.bossEncounters);
+            this.emit('bossStart', { boss: this.boss });
+        }
+
+        updateBoss(dt, frames) {
+            const boss = this.boss;
+            boss.update(dt * this.speedScale, frames * this.speedScale);
+
+            for (const projectile of [...this.projectilePool.active]) {
+                if (!this.checkCollision(projectile, boss)) continue;
+
+                this.projectilePool.release(projectile);
+                if (boss.takeDamage(projectile.damage)) {
+                    this.defeatBoss();
+                    return;
+                }
+                this.emit('bossHit', { boss, x: projectile.x, y: projectile.y });
+            }
+
+            // Ramming the boss hurts; the brief immunity stops one contact costing every life
+            if (this.checkCollision(this.player, boss)) {
+                const outcome = this.hitPlayer(boss);
+                if (outcome === 'shielded') {
+                    this.invulnerableTime = this.settings.invulnerabilityDuration;
+                }
+            }
+        }
+
+        // Awards the reward and resumes normal play at the next level
+        defeatBoss() {
+            const boss = this.boss;
+            const points = this.addScore(boss.reward);
+            this.boss = null;
+            this.emit('bossDefeated', { boss, points, x: boss.x, y: boss.y });
+
+            this.lastSpeedIncrease = this.gameTime;
+            this.advanceLevel();
+        }
+
+        gameOver(cause = null) {
+            this.state = 'gameOver';
+            this.emit('gameOver', this.getResult({ cause }));
+        }
+
+        // Ends the run successfully once a non-looping level script runs out of waves
+        completeLevel(name = null) {
+            this.state = 'gameOver';
+            this.emit('levelComplete', { name });
+            this.emit('gameOver', this.getResult({ completed: true }));
+        }
+
+        getResult(extra = {}) {
+            return {
+                score: this.score,
+                time: this.gameTime,
+                level: this.level,
+                seed: this.runSeed,
+                mode: this.mode,
+                modeLabel: this.modeLabel,
+                cause: null,
+                completed: false,
+                ...extra
+            };
+        }
+
+        getPerformanceStats() {
+            return {
+                activeObjects: this.objectPool.getActiveCount(),
+                pooledObjects: this.objectPool.pool.length,
+                totalObjectsInMemory: this.objectPool.getActiveCount() + this.objectPool.pool.length,
+                activeProjectiles: this.projectilePool.getActiveCount(),
+                pooledProjectiles: this.projectilePool.pool.length,
+                broadphaseCells: this.broadphase.occupiedCells,
+                collisionChecks: this.collisionChecks,
+                stepTime: this.stepTime,
+                averageStepTime: this.averageStepTime
+            };
+        }
+    }
+
+    GameSimulation.FRAME_MS = FRAME_MS;
+    GameSimulation.DEFAULT_OBJECT_TYPES = DEFAULT_OBJECT_TYPES;
+    GameSimulation.POWER_UPS = POWER_UPS;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { GameSimulation };
+    } else {
+        global.GameSimulation = GameSimulation;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,155 @@
+/**
+ * Galaxy Defender - Spatial Hash
+ * Uniform grid broadphase: entities are filed under every cell their bounding
+ * circle touches, so a query only visits entities in nearby cells instead of
+ * every entity on the playfield
+ */
+
+(function (global) {
+    'use strict';
+
+    // Cell coordinates are packed into one number; the offset keeps them positive
+    const KEY_OFFSET = 32768;
+    const KEY_STRIDE = 65536;
+
+    class SpatialHash {
+        constructor(cellSize = 64) {
+            this.cellSize = cellSize;
+            this.cells = new Map();
+            this.ranges = new Map(); // entity -> the cell range it was inserted into
+            this.seen = new Set();
+            this.cellRanges = []; // scratch for forEachPair
+        }
+
+        // Radius of a circle around the entity's centre that contains it at any rotation
+        static reach(entity) {
+            return Math.hypot(entity.width, entity.height) / 2;
+        }
+
+        cellRange(x, y, radius) {
+            return {
+                minX: Math.floor((x - radius) / this.cellSize),
+                maxX: Math.floor((x + radius) / this.cellSize),
+                minY: Math.floor((y - radius) / this.cellSize),
+                maxY: Math.floor((y + radius) / this.cellSize)
+            };
+        }
+
+        key(cellX, cellY) {
+            return (cellX + KEY_OFFSET) * KEY_STRIDE + (cellY + KEY_OFFSET);
+        }
+
+        // Empties the grid; cell arrays are kept for reuse
+        clear() {
+            for (const cell of this.cells.values()) {
+                cell.length = 0;
+            }
+            this.ranges.clear();
+        }
+
+        insert(entity) {
+            const range = this.cellRange(entity.x, entity.y, SpatialHash.reach(entity));
+            this.ranges.set(entity, range);
+
+            for (let cellX = range.minX; cellX <= range.maxX; cellX++) {
+                for (let cellY = range.minY; cellY <= range.maxY; cellY++) {
+                    const key = this.key(cellX, cellY);
+                    let cell = this.cells.get(key);
+                    if (!cell) {
+                        cell = [];
+                        this.cells.set(key, cell);
+                    }
+                    cell.push(entity);
+                }
+            }
+        }
+
+        // Removes an entity from the cells it was inserted into, even if it has moved since
+        remove(entity) {
+            const range = this.ranges.get(entity);
+            if (!range) return;
+            this.ranges.delete(entity);
+
+            for (let cellX = range.minX; cellX <= range.maxX; cellX++) {
+                for (let cellY = range.minY; cellY <= range.maxY; cellY++) {
+                    const cell = this.cells.get(this.key(cellX, cellY));
+                    const index = cell.indexOf(entity);
+                    if (index > -1) cell.splice(index, 1);
+                }
+            }
+        }
+
+        // Fills `out` with every entity in the cells within `radius` of (x, y), each once.
+        // These are candidates only: the caller still runs the exact hitbox test.
+        queryRadius(x, y, radius, out = []) {
+            out.length = 0;
+            this.seen.clear();
+            const range = this.cellRange(x, y, radius);
+
+            for (let cellX = range.minX; cellX <= range.maxX; cellX++) {
+                for (let cellY = range.minY; cellY <= range.maxY; cellY++) {
+                    const cell = this.cells.get(this.key(cellX, cellY));
+                    if (!cell) continue;
+                    for (const entity of cell) {
+                        if (!this.seen.has(entity)) {
+                            this.seen.add(entity);
+                            out.push(entity);
+                        }
+                    }
+                }
+            }
+            return out;
+        }
+
+        // Candidates that may overlap an entity; the entity itself is left out
+        query(entity, out = []) {
+            this.queryRadius(entity.x, entity.y, SpatialHash.reach(entity), out);
+            const self = out.indexOf(entity);
+            if (self > -1) out.splice(self, 1);
+            return out;
+        }
+
+        // Calls visit(a, b) once for every two entities that share a cell. A pair sharing
+        // several cells is only visited in the top-left cell of their overlap.
+        forEachPair(visit) {
+            for (const [key, cell] of this.cells) {
+                if (cell.length < 2) continue;
+                const cellX = Math.floor(key / KEY_STRIDE) - KEY_OFFSET;
+                const cellY = key % KEY_STRIDE - KEY_OFFSET;
+
+                const ranges = this.cellRanges;
+                for (let i = 0; i < cell.length; i++) {
+                    ranges[i] = this.ranges.get(cell[i]);
+                }
+
+                for (let i = 0; i < cell.length - 1; i++) {
+                    const rangeA = ranges[i];
+                    for (let j = i + 1; j < cell.length; j++) {
+                        const rangeB = ranges[j];
+                        if (Math.max(rangeA.minX, rangeB.minX) === cellX && Math.max(rangeA.minY, rangeB.minY) === cellY) {
+                            visit(cell[i], cell[j]);
+                        }
+                    }
+                }
+            }
+        }
+
+        get size() {
+            return this.ranges.size;
+        }
+
+        get occupiedCells() {
+            let count = 0;
+            for (const cell of this.cells.values()) {
+                if (cell.length > 0) count++;
+            }
+            return count;
+        }
+    }
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { SpatialHash };
+    } else {
+        global.SpatialHash = SpatialHash;
+    }
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -0,0 +1,70 @@
+/**
+ * Galaxy Defender - Sprite Atlas
+ * Loads a sprite sheet and its JSON frame map (see assets/sprites/atlas.json)
+ * and draws animated sprites by name
+ */
+
+class SpriteAtlas {
+    constructor(image, frameMap) {
+        this.image = image;
+        this.frames = frameMap.frames;
+        this.sprites = frameMap.sprites;
+    }
+
+    // Loads the frame map and its image; onProgress(loaded, total) reports each finished step.
+    // Rejects if either part fails so the caller can fall back to emoji.
+    static async load(url, onProgress = () => {}) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load sprite map ${url}: HTTP ${response.status}`);
+        }
+        const frameMap = await response.json();
+        SpriteAtlas.validate(frameMap, url);
+        onProgress(1, 2);
+
+        const image = await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error(`Failed to load sprite sheet ${frameMap.image}`));
+            img.src = new URL(frameMap.image, new URL(url, window.location.href)).href;
+        });
+        onProgress(2, 2);
+
+        return new SpriteAtlas(image, frameMap);
+    }
+
+    static validate(frameMap, url) {
+        if (!frameMap || typeof frameMap.image !== 'string' || !frameMap.frames || !frameMap.sprites) {
+            throw new Error(`${url}: expected "image", "frames" and "sprites"`);
+        }
+        for (const [name, sprite] of Object.entries(frameMap.sprites)) {
+            if (!Array.isArray(sprite.frames) || sprite.frames.length === 0) {
+                throw new Error(`${url}: sprite "${name}" has no frames`);
+            }
+            const missing = sprite.frames.find((frame) => !frameMap.frames[frame]);
+            if (missing) {
+                throw new Error(`${url}: sprite "${name}" uses unknown frame "${missing}"`);
+            }
+        }
+    }
+
+    has(name) {
+        return name in this.sprites;
+    }
+
+    // The frame to show at a time in milliseconds; single-frame sprites ignore time
+    frameAt(name, time) {
+        const sprite = this.sprites[name];
+        const index = sprite.frames.length > 1
+            ? Math.floor(time / 1000 * (sprite.fps || 8)) % sprite.frames.length
+            : 0;
+        return this.frames[sprite.frames[index]];
+    }
+
+    // Draws a sprite centred on (x, y), `width` wide with the frame's aspect ratio
+    draw(ctx, name, x, y, width, time = 0) {
+        const frame = this.frameAt(name, time);
+        const height = width * frame.h / frame.w;
+        ctx.drawImage(this.image, frame.x, frame.y, frame.w, frame.h, x - width / 2, y - height / 2, width, height);
+    }
+}
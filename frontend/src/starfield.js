@@ -0,0 +1,215 @@
+/**
+ * Galaxy Defender - Starfield
+ * Parallax background: star layers and a nebula are pre-rendered once to
+ * offscreen canvases and scrolled at different speeds, with the odd planet
+ * drifting past. Level-ups kick it into a brief warp.
+ */
+
+// Each layer scrolls at `factor` times the speed the playfield objects fall at
+const STAR_LAYERS = [
+    { count: 140, size: [0.5, 1.2], alpha: [0.25, 0.55], factor: 0.15 },
+    { count: 70, size: [1, 1.8], alpha: [0.45, 0.8], factor: 0.35 },
+    { count: 30, size: [1.5, 2.5], alpha: [0.7, 1], factor: 0.7 }
+];
+const STAR_TINTS = ['255, 255, 255', '200, 220, 255', '255, 240, 200'];
+
+const NEBULA_FACTOR = 0.05;
+const NEBULA_COLORS = ['120, 60, 200', '40, 120, 200', '200, 60, 140'];
+
+// Lit and shadowed colors of each planet variant; every other one is ringed
+const PLANET_COLORS = [['#f4a261', '#5c2a0e'], ['#8ecae6', '#12325a'], ['#c77dff', '#32104a']];
+const PLANET_INTERVAL = [15000, 30000]; // milliseconds of scrolling between planets
+const PLANET_SPRITE_SIZE = 128;
+
+const WARP_DURATION = 1200;
+const WARP_SPEEDUP = 6; // scroll speed multiplier at the height of a warp
+
+class Starfield {
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+
+        // The same sky every time, independent of the run's seed
+        this.seed = options.seed ?? 0x5eed;
+        this.layers = STAR_LAYERS.map((config) => ({ canvas: null, factor: config.factor, offset: 0 }));
+        this.nebula = { canvas: null, factor: NEBULA_FACTOR, offset: 0 };
+        this.setResolution(options.resolution || 1);
+
+        this.planets = [];
+        this.nextPlanet = this.between(PLANET_INTERVAL) / 3;
+
+        this.warpTime = 0;
+    }
+
+    // Renders the cached layers at `resolution` device pixels per playfield unit.
+    // The generator restarts from the seed so the sky keeps its layout.
+    setResolution(resolution) {
+        this.resolution = resolution;
+        this.rng = new SeededRandom(this.seed);
+        STAR_LAYERS.forEach((config, i) => {
+            this.layers[i].canvas = this.renderStars(config);
+        });
+        this.nebula.canvas = this.renderNebula();
+        this.planetSprites = PLANET_COLORS.map((colors, i) => this.renderPlanet(colors, i % 2 === 1));
+    }
+
+    // An offscreen canvas for a width x height area, with a context that draws in
+    // playfield units
+    createLayer(width, height) {
+        const pixelWidth = Math.ceil(width * this.resolution);
+        const pixelHeight = Math.ceil(height * this.resolution);
+        let canvas;
+        if (typeof OffscreenCanvas !== 'undefined') {
+            canvas = new OffscreenCanvas(pixelWidth, pixelHeight);
+        } else {
+            canvas = document.createElement('canvas');
+            canvas.width = pixelWidth;
+            canvas.height = pixelHeight;
+        }
+        canvas.getContext('2d').scale(this.resolution, this.resolution);
+        return canvas;
+    }
+
+    between([min, max]) {
+        return min + this.rng.next() * (max - min);
+    }
+
+    renderStars(config) {
+        const canvas = this.createLayer(this.width, this.height);
+        const ctx = canvas.getContext('2d');
+        for (let i = 0; i < config.count; i++) {
+            const tint = STAR_TINTS[Math.floor(this.rng.next() * STAR_TINTS.length)];
+            ctx.fillStyle = `rgba(${tint}, ${this.between(config.alpha)})`;
+            ctx.beginPath();
+            ctx.arc(this.rng.next() * this.width, this.rng.next() * this.height, this.between(config.size) / 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+        return canvas;
+    }
+
+    renderNebula() {
+        const canvas = this.createLayer(this.width, this.height);
+        const ctx = canvas.getContext('2d');
+        NEBULA_COLORS.forEach((color) => {
+            const x = this.rng.next() * this.width;
+            const y = this.rng.next() * this.height;
+            const radius = this.between([150, 300]);
+
+            // Drawn again a tile above and below so the layer wraps without a seam
+            for (const wrapY of [y - this.height, y, y + this.height]) {
+                const gradient = ctx.createRadialGradient(x, wrapY, 0, x, wrapY, radius);
+                gradient.addColorStop(0, `rgba(${color}, 0.16)`);
+                gradient.addColorStop(1, `rgba(${color}, 0)`);
+                ctx.fillStyle = gradient;
+                ctx.fillRect(x - radius, wrapY - radius, radius * 2, radius * 2);
+            }
+        });
+        return canvas;
+    }
+
+    renderPlanet([light, dark], ringed) {
+        const size = PLANET_SPRITE_SIZE;
+        const canvas = this.createLayer(size, size);
+        const ctx = canvas.getContext('2d');
+        const center = size / 2;
+        const radius = ringed ? size * 0.28 : size * 0.45;
+
+        // Lit from the upper left
+        const gradient = ctx.createRadialGradient(center - radius * 0.4, center - radius * 0.4, radius * 0.1, center, center, radius);
+        gradient.addColorStop(0, light);
+        gradient.addColorStop(1, dark);
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(center, center, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        if (ringed) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.45)';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.ellipse(center, center, size * 0.47, size * 0.12, -0.35, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        return canvas;
+    }
+
+    // Starts a warp: the scroll speeds up and stars streak, then it settles again
+    warp() {
+        this.warpTime = WARP_DURATION;
+    }
+
+    // 0 outside a warp, rising to 1 half way through and falling back
+    get warpIntensity() {
+        if (this.warpTime <= 0) return 0;
+        return Math.sin(Math.PI * (1 - this.warpTime / WARP_DURATION));
+    }
+
+    // speed is the playfield's falling speed (px per 60 Hz frame)
+    update(dt, speed) {
+        const boost = 1 + this.warpIntensity * (WARP_SPEEDUP - 1);
+        const distance = speed * boost * dt / GameSimulation.FRAME_MS;
+        this.warpTime = Math.max(0, this.warpTime - dt);
+
+        for (const layer of [this.nebula, ...this.layers]) {
+            layer.offset = (layer.offset + distance * layer.factor) % this.height;
+        }
+
+        for (let i = this.planets.length - 1; i >= 0; i--) {
+            const planet = this.planets[i];
+            planet.y += distance * planet.factor;
+            if (planet.y - planet.size / 2 > this.height) {
+                this.planets.splice(i, 1);
+            }
+        }
+
+        this.nextPlanet -= dt * boost;
+        if (this.nextPlanet <= 0) {
+            this.nextPlanet = this.between(PLANET_INTERVAL);
+            const size = this.between([40, 110]);
+            this.planets.push({
+                sprite: this.planetSprites[Math.floor(this.rng.next() * this.planetSprites.length)],
+                x: this.rng.next() * this.width,
+                y: -size / 2,
+                size,
+                factor: this.between([0.2, 0.3])
+            });
+        }
+    }
+
+    // decorations (nebula and planets) are left out in high contrast mode
+    draw(ctx, decorations = true) {
+        if (decorations) {
+            this.drawLayer(ctx, this.nebula);
+
+            ctx.save();
+            ctx.globalAlpha = 0.8;
+            this.planets.forEach((planet) => {
+                ctx.drawImage(planet.sprite, planet.x - planet.size / 2, planet.y - planet.size / 2, planet.size, planet.size);
+            });
+            ctx.restore();
+        }
+
+        const warp = this.warpIntensity;
+        for (const layer of this.layers) {
+            this.drawLayer(ctx, layer);
+
+            // Warp streaks: fading copies trailing behind each star, longer for nearer layers
+            if (warp > 0) {
+                const length = warp * 60 * layer.factor;
+                ctx.save();
+                for (let i = 1; i <= 4; i++) {
+                    ctx.globalAlpha = warp * 0.3 * (1 - i / 5);
+                    this.drawLayer(ctx, layer, -length * i / 4);
+                }
+                ctx.restore();
+            }
+        }
+    }
+
+    // Draws a layer tile twice, stacked, so it covers the view at any scroll offset
+    drawLayer(ctx, layer, shift = 0) {
+        const y = ((layer.offset + shift) % this.height + this.height) % this.height;
+        ctx.drawImage(layer.canvas, 0, y - this.height, this.width, this.height);
+        ctx.drawImage(layer.canvas, 0, y, this.width, this.height);
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Galaxy Defender - Touch Controls
+ * Steering for phones and tablets, with every finger tracked separately.
+ * In 'drag' mode a finger anywhere moves the ship by as far as the finger moves,
+ * so it never covers the ship, and any second finger fires. In 'joystick' mode a
+ * stick appears where the steering finger lands and a fire button sits bottom right.
+ */
+
+const TOUCH_SCHEMES = ['drag', 'joystick'];
+
+// Logical pixels of stick travel for full speed, and the share of it ignored at the centre
+const JOYSTICK_RADIUS = 60;
+const JOYSTICK_DEADZONE = 0.15;
+
+class TouchControls {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.viewport = options.viewport;
+        this.getShipX = options.getShipX || (() => this.viewport.width / 2);
+
+        this.scheme = 'drag';
+        this.touches = new Map(); // touch identifier -> { role, startX, startY, x, y, shipX }
+        this.fireButton = { x: this.viewport.width - 80, y: this.viewport.height - 80, radius: 48 };
+
+        // Set by the first touch, so on-screen controls only appear on touch devices
+        this.used = false;
+        // While true, page scrolling and pinch zoom are suppressed
+        this.locked = false;
+
+        canvas.addEventListener('touchstart', (e) => this.handleStart(e), { passive: false });
+        canvas.addEventListener('touchmove', (e) => this.handleMove(e), { passive: false });
+        canvas.addEventListener('touchend', (e) => this.handleEnd(e), { passive: false });
+        canvas.addEventListener('touchcancel', (e) => this.handleEnd(e), { passive: false });
+
+        // Swipes and pinches that start outside the canvas should not move the page mid-run
+        document.addEventListener('touchmove', (e) => {
+            if (this.locked) e.preventDefault();
+        }, { passive: false });
+        document.addEventListener('gesturestart', (e) => {
+            if (this.locked) e.preventDefault();
+        });
+    }
+
+    setScheme(scheme) {
+        if (!TOUCH_SCHEMES.includes(scheme)) {
+            throw new Error(`Unknown touch scheme: ${scheme}`);
+        }
+        this.scheme = scheme;
+        this.touches.clear();
+    }
+
+    // The on-screen stick and fire button are drawn for joystick players on touch devices
+    get visible() {
+        return this.used && this.scheme === 'joystick';
+    }
+
+    handleStart(e) {
+        e.preventDefault();
+        this.used = true;
+        for (const touch of e.changedTouches) {
+            const point = this.viewport.toLogical(touch.clientX, touch.clientY);
+            this.touches.set(touch.identifier, {
+                role: this.roleFor(point),
+                startX: point.x,
+                startY: point.y,
+                x: point.x,
+                y: point.y,
+                shipX: this.getShipX()
+            });
+        }
+    }
+
+    handleMove(e) {
+        e.preventDefault();
+        for (const touch of e.changedTouches) {
+            const tracked = this.touches.get(touch.identifier);
+            if (!tracked) continue;
+            const point = this.viewport.toLogical(touch.clientX, touch.clientY);
+            tracked.x = point.x;
+            tracked.y = point.y;
+        }
+    }
+
+    handleEnd(e) {
+        e.preventDefault();
+        for (const touch of e.changedTouches) {
+            this.touches.delete(touch.identifier);
+        }
+    }
+
+    // The first free finger steers; the fire button, or any finger after that, fires
+    roleFor(point) {
+        const steering = this.scheme === 'joystick' ? 'stick' : 'steer';
+        if (this.scheme === 'joystick') {
+            const { x, y, radius } = this.fireButton;
+            // A little larger than drawn, so a hurried thumb still lands on it
+            if (Math.hypot(point.x - x, point.y - y) <= radius * 1.3) return 'fire';
+        }
+        const taken = Array.from(this.touches.values()).some((touch) => touch.role === steering);
+        return taken ? 'fire' : steering;
+    }
+
+    // Stick displacement as a -1..1 steering axis
+    stickAxis(touch) {
+        const offset = Math.max(-1, Math.min(1, (touch.x - touch.startX) / JOYSTICK_RADIUS));
+        if (Math.abs(offset) < JOYSTICK_DEADZONE) return 0;
+        return Math.sign(offset) * (Math.abs(offset) - JOYSTICK_DEADZONE) / (1 - JOYSTICK_DEADZONE);
+    }
+
+    // { targetX } while dragging or { moveX } on the stick, plus fire; null with no fingers down
+    sample() {
+        if (this.touches.size === 0) return null;
+
+        let steer = { moveX: 0 };
+        let fire = false;
+        for (const touch of this.touches.values()) {
+            if (touch.role === 'fire') {
+                fire = true;
+            } else if (touch.role === 'steer') {
+                const targetX = touch.shipX + touch.x - touch.startX;
+                steer = { targetX: Math.max(0, Math.min(this.viewport.width, targetX)) };
+            } else {
+                steer = { moveX: this.stickAxis(touch) };
+            }
+        }
+        return { ...steer, fire };
+    }
+
+    // The stick's base and knob positions for drawing, or null when it is not held
+    get stick() {
+        const touch = Array.from(this.touches.values()).find((t) => t.role === 'stick');
+        if (!touch) return null;
+        const dx = touch.x - touch.startX;
+        const dy = touch.y - touch.startY;
+        const scale = Math.min(1, JOYSTICK_RADIUS / (Math.hypot(dx, dy) || 1));
+        return {
+            baseX: touch.startX,
+            baseY: touch.startY,
+            knobX: touch.startX + dx * scale,
+            knobY: touch.startY + dy * scale,
+            radius: JOYSTICK_RADIUS
+        };
+    }
+
+    get firing() {
+        return Array.from(this.touches.values()).some((touch) => touch.role === 'fire');
+    }
+
+    // Re-anchors drags to the ship, e.g. when a new run moves it back to the centre
+    reanchor() {
+        for (const touch of this.touches.values()) {
+            touch.startX = touch.x;
+            touch.startY = touch.y;
+            touch.shipX = this.getShipX();
+        }
+    }
+}
+
+TouchControls.SCHEMES = TOUCH_SCHEMES;
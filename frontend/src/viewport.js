@@ -0,0 +1,87 @@
+/**
+ * Galaxy Defender - Viewport
+ * Maps the fixed logical playfield (800x600) onto the canvas at whatever size
+ * fits the window, with a backing store sized for the display's pixel ratio so
+ * drawing stays crisp. Every pointer position goes through toLogical().
+ */
+
+class Viewport {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.width = options.width || 800;
+        this.height = options.height || 600;
+
+        // Height taken by the page around the canvas (header, margins), in CSS pixels
+        this.reservedHeight = options.reservedHeight || (() => 0);
+
+        this.cssWidth = this.width;
+        this.cssHeight = this.height;
+        this.pixelRatio = 1;
+        this.listeners = {};
+
+        window.addEventListener('resize', () => this.fit());
+        window.addEventListener('orientationchange', () => this.fit());
+        this.watchPixelRatio();
+        this.fit();
+    }
+
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+    }
+
+    emit(event, payload) {
+        (this.listeners[event] || []).forEach((handler) => handler(payload));
+    }
+
+    // Zooming or moving the window to another monitor changes devicePixelRatio
+    // without necessarily resizing; the media query only matches one ratio, so
+    // it is re-armed for the new one after each change
+    watchPixelRatio() {
+        if (!window.matchMedia) return;
+        const query = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+        const onChange = () => {
+            query.removeEventListener('change', onChange);
+            this.watchPixelRatio();
+            this.fit();
+        };
+        query.addEventListener('change', onChange);
+    }
+
+    // Sizes the canvas to the largest 4:3 box that fits the window
+    fit() {
+        const aspect = this.width / this.height;
+        const border = this.canvas.offsetWidth - this.canvas.clientWidth;
+        const availableWidth = window.innerWidth * 0.95 - border;
+        const availableHeight = window.innerHeight - this.reservedHeight() - border;
+
+        this.cssWidth = Math.max(1, Math.floor(Math.min(availableWidth, availableHeight * aspect)));
+        this.cssHeight = Math.floor(this.cssWidth / aspect);
+        this.pixelRatio = window.devicePixelRatio || 1;
+
+        this.canvas.style.width = `${this.cssWidth + border}px`;
+        this.canvas.style.height = `${this.cssHeight + border}px`;
+        this.canvas.width = Math.round(this.cssWidth * this.pixelRatio);
+        this.canvas.height = Math.round(this.cssHeight * this.pixelRatio);
+
+        this.emit('resize', { pixelScale: this.pixelScale });
+    }
+
+    // Device pixels per logical unit
+    get pixelScale() {
+        return this.canvas.width / this.width;
+    }
+
+    // Lets a context draw in logical coordinates
+    applyTransform(ctx) {
+        ctx.setTransform(this.canvas.width / this.width, 0, 0, this.canvas.height / this.height, 0, 0);
+    }
+
+    // Client (CSS pixel) coordinates of a mouse or touch event to playfield coordinates
+    toLogical(clientX, clientY) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (clientX - rect.left - this.canvas.clientLeft) * this.width / this.canvas.clientWidth,
+            y: (clientY - rect.top - this.canvas.clientTop) * this.height / this.canvas.clientHeight
+        };
+    }
+}
@@ -3,352 +3,525 @@
  * A space-themed game where players pilot a rocket to dodge asteroids and collect stars
  */
 
+// The simulation advances in fixed steps whatever the display's refresh rate, so speed and
+// difficulty are the same everywhere. Whole milliseconds (125 Hz) keep replays exact, and
+// the score server rejects replays stepped at any other rate.
+const SIMULATION_STEP_MS = REPLAY_STEP_MS;
+
+// Longer gaps between frames (a background tab, a stalled device) are cut short instead
+// of being fast-forwarded through
+const MAX_FRAME_GAP_MS = 250;
+
 class GalaxyDefender {
-    constructor() {
-        // Canvas and context setup
+    constructor(options = {}) {
+        // Canvas setup
         this.canvas = document.getElementById('gameCanvas');
-        this.ctx = this.canvas.getContext('2d');
         
         // Game state
-        this.gameState = 'start'; // 'start', 'playing', 'gameOver'
-        this.score = 0;
-        this.gameTime = 0;
+        this.gameState = 'loading'; // 'loading', 'start', 'playing', 'paused', 'gameOver', 'leaderboard', 'achievements', 'settings'
         this.lastTime = 0;
+        this.accumulator = 0; // real time not yet simulated, in milliseconds
+        this.fps = 0;
+        
+        // Persisted user options, applied live as they change
+        this.settings = new Settings();
+        this.stateBeforeSettings = null;
+        
+        // The playfield is a fixed 800x600 in logical units, scaled to fit the window
+        this.viewport = new Viewport(this.canvas, {
+            reservedHeight: () => document.querySelector('.header').offsetHeight + 40
+        });
+        
+        // Game rules live in the simulation; this class only wires it to the page
+        this.simulation = new GameSimulation({
+            width: this.viewport.width,
+            height: this.viewport.height,
+            seed: options.seed ?? null,
+            createRng: options.createRng,
+            settings: options.lives ? { lives: options.lives } : {},
+            benchmark: options.benchmark
+        });
+        this.benchmark = Boolean(options.benchmark);
+        this.frameTime = 0;
+        this.renderer = new CanvasRenderer(this.canvas, this.viewport);
+        this.viewport.on('resize', () => this.renderer.resize());
+        this.renderer.showHitboxes = Boolean(options.showHitboxes);
+        this.hud = new DomHud(document);
+        this.audio = new AudioEngine();
         
-        // Game settings
-        this.baseSpeed = 2;
-        this.currentSpeed = this.baseSpeed;
-        this.speedIncreaseInterval = 10000; // 10 seconds in milliseconds
-        this.lastSpeedIncrease = 0;
-        this.difficultyMultiplier = 1;
-        
-        // Player setup
-        this.player = {
-            x: this.canvas.width / 2,
-            y: this.canvas.height - 80,
-            width: 40,
-            height: 40,
-            emoji: '🚀'
+        // Sensitivity scales the simulation's own control tuning
+        this.baseControls = {
+            playerSmoothing: this.simulation.settings.playerSmoothing,
+            playerAcceleration: this.simulation.settings.playerAcceleration
         };
         
-        // Mouse tracking
-        this.mouseX = this.canvas.width / 2;
-        
-        // Game objects
-        this.objects = [];
-        this.objectSpawnRate = 0.02; // Base spawn rate
-        this.objectTypes = [
-            { emoji: '☄️', type: 'bad', weight: 0.4 },
-            { emoji: '🛸', type: 'bad', weight: 0.3 },
-            { emoji: '⭐', type: 'good', weight: 0.3 }
-        ];
-        
-        // UI elements
-        this.scoreElement = document.getElementById('score');
-        this.timeElement = document.getElementById('time');
-        this.gameOverScreen = document.getElementById('gameOverScreen');
-        this.startScreen = document.getElementById('startScreen');
-        this.finalScoreElement = document.getElementById('finalScore');
-        this.finalTimeElement = document.getElementById('finalTime');
+        // Local top-10 tables per game mode, plus the global ones when a score server is reachable
+        this.leaderboard = new Leaderboard();
+        this.scores = new ScoreClient(options.apiUrl);
+        this.lastResult = null;
+        this.lastReplay = null;
+        this.leaderboardModes = [];
+        this.leaderboardMode = null;
+        
+        // Unlocked from simulation events; benchmark runs don't count
+        this.achievements = new Achievements();
+        if (!this.benchmark) {
+            this.achievements.track(this.simulation);
+        }
+        
+        // Keyboard, gamepad, mouse and touch input, recorded so runs can be verified by replay
+        this.input = new InputManager(this.canvas, {
+            viewport: this.viewport,
+            getShipX: () => this.simulation.player.x
+        });
+        this.renderer.touchControls = this.input.touch;
+        this.settingsPanel = new SettingsPanel(document, this.settings, this.input);
+        this.recorder = new InputRecorder();
         
         // Initialize game
         this.init();
+        
+        // Sprites load behind the loading screen; emoji are drawn if they fail
+        this.loadSprites(options.spritesUrl || 'assets/sprites/atlas.json');
+        
+        // Scripted levels replace the endless difficulty ramp once loaded
+        if (options.levelUrl) {
+            this.loadLevel(options.levelUrl);
+        }
+    }
+    
+    async loadSprites(url) {
+        try {
+            this.renderer.atlas = await SpriteAtlas.load(url, (loaded, total) => {
+                this.hud.showLoadingProgress(loaded, total);
+            });
+        } catch (error) {
+            console.warn('Could not load sprites, falling back to emoji:', error);
+        } finally {
+            this.hud.hideLoading();
+            this.gameState = 'start';
+        }
     }
     
     init() {
         // Event listeners
-        this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         document.getElementById('startBtn').addEventListener('click', () => this.startGame());
         document.getElementById('restartBtn').addEventListener('click', () => this.restartGame());
+        document.getElementById('resumeBtn').addEventListener('click', () => this.resumeGame());
+        document.getElementById('pauseRestartBtn').addEventListener('click', () => this.restartGame());
+        document.getElementById('quitBtn').addEventListener('click', () => this.quitToMenu());
+        document.getElementById('muteBtn').addEventListener('click', () => this.toggleMute());
+        document.getElementById('pauseBtn').addEventListener('click', () => this.handleAction('pause'));
+        
+        // Tapping anywhere on the start screen that is not another control starts a run
+        document.getElementById('startScreen').addEventListener('click', (e) => {
+            if (this.gameState === 'start' && !e.target.closest('button, a, input, select')) {
+                this.startGame();
+            }
+        });
+        document.getElementById('settingsBtn').addEventListener('click', () => this.openSettings());
+        document.getElementById('gameOverSettingsBtn').addEventListener('click', () => this.openSettings());
+        document.getElementById('settingsBackBtn').addEventListener('click', () => this.closeSettings());
+        document.getElementById('settingsResetBtn').addEventListener('click', () => {
+            this.settings.reset();
+            this.input.resetBindings();
+            this.settingsPanel.refreshBindings();
+        });
+        
+        // Apply the saved settings now and every change from then on
+        Object.keys(Settings.SCHEMA).forEach((key) => this.applySetting(key, this.settings.get(key)));
+        this.settings.on('change', ({ key, value }) => this.applySetting(key, value));
+        document.getElementById('leaderboardBtn').addEventListener('click', () => this.showLeaderboard());
+        document.getElementById('leaderboardBackBtn').addEventListener('click', () => this.quitToMenu());
+        document.getElementById('achievementsBtn').addEventListener('click', () => this.showAchievements());
+        document.getElementById('achievementsBackBtn').addEventListener('click', () => this.quitToMenu());
+        document.getElementById('leaderboardMode').addEventListener('change', (e) => {
+            this.loadLeaderboardTable(e.target.value);
+        });
+        document.getElementById('nameEntry').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitScore(document.getElementById('playerName').value);
+        });
+        
+        // Pause/start keys come from the input bindings; also pause automatically
+        // when the window loses focus or the tab is hidden
+        this.input.on('action', (action) => this.handleAction(action));
+        window.addEventListener('blur', () => this.pauseGame());
+        document.addEventListener('visibilitychange', () => {
+            if (document.hidden) {
+                this.pauseGame();
+            }
+        });
         
         // Prevent context menu on right click
         this.canvas.addEventListener('contextmenu', (e) => e.preventDefault());
         
+        // Simulation events drive the sound effects
+        this.simulation.on('fire', () => this.audio.play('fire'));
+        this.simulation.on('collect', ({ object }) => {
+            this.audio.play(this.simulation.objectTypes[object.type].powerUp ? 'powerUp' : 'collect');
+        });
+        this.simulation.on('hit', () => this.audio.play('hit'));
+        this.simulation.on('bossHit', () => this.audio.play('hit'));
+        ['destroy', 'shieldHit', 'bossDefeated'].forEach((event) => {
+            this.simulation.on(event, () => this.audio.play('explosion'));
+        });
+        this.simulation.on('lifeLost', () => this.audio.play('lifeLost'));
+        this.simulation.on('levelUp', ({ level }) => {
+            this.audio.play('levelUp');
+            this.audio.setLevel(level);
+        });
+        this.simulation.on('bossStart', () => this.audio.play('warning'));
+        this.simulation.on('gameOver', (result) => {
+            this.audio.stopMusic();
+            this.audio.play(result.completed ? 'levelComplete' : 'gameOver');
+        });
+        
+        // Key moments are announced to screen reader users
+        this.simulation.on('levelUp', ({ level }) => this.hud.announce(`Level ${level}`));
+        this.simulation.on('lifeLost', ({ lives }) => {
+            this.hud.announce(lives > 0 ? `Ship lost! ${lives} ${lives === 1 ? 'life' : 'lives'} left` : 'Last ship lost!', true);
+        });
+        this.simulation.on('bossStart', ({ boss }) => this.hud.announce(`Warning: ${boss.name} approaching`, true));
+        this.simulation.on('bossDefeated', ({ boss }) => this.hud.announce(`${boss.name} destroyed`));
+        this.simulation.on('gameOver', (result) => {
+            const title = result.completed ? 'Level complete' : 'Game over';
+            this.hud.announce(`${title}. Final score ${result.score}, survived ${Math.floor(result.time / 1000)} seconds.`, true);
+        });
+        
+        // Simulation events drive the visual feedback
+        this.simulation.on('reset', ({ seed }) => this.renderer.reset(seed));
+        this.simulation.on('collect', ({ object, x, y }) => {
+            const powerUp = this.simulation.objectTypes[object.type].powerUp;
+            if (powerUp) {
+                this.renderer.createRing(x, y, GameSimulation.POWER_UPS[powerUp].color);
+            } else {
+                this.renderer.createParticleEffect(x, y, '#FFD700');
+            }
+        });
+        this.simulation.on('shieldHit', ({ x, y }) => {
+            this.renderer.createExplosion(x, y);
+            this.renderer.createRing(x, y, GameSimulation.POWER_UPS.shield.color);
+        });
+        this.simulation.on('lifeLost', ({ x, y }) => this.renderer.createExplosion(x, y));
+        this.simulation.on('hit', ({ x, y }) => this.renderer.createSparks(x, y));
+        this.simulation.on('destroy', ({ x, y }) => this.renderer.createExplosion(x, y));
+        this.simulation.on('levelUp', () => this.renderer.showDifficultyIncrease());
+        this.simulation.on('waveStart', ({ name }) => this.renderer.showBanner(name, this.simulation));
+        this.simulation.on('bossStart', ({ boss }) => {
+            this.renderer.showBanner(`⚠️ ${boss.name} approaching!`, this.simulation, 3000);
+        });
+        this.simulation.on('bossHit', ({ x, y }) => this.renderer.createSparks(x, y));
+        this.simulation.on('bossDefeated', ({ boss, points }) => {
+            for (let i = 0; i < 5; i++) {
+                const offsetX = (i - 2) * boss.width / 4;
+                this.renderer.createExplosion(boss.x + offsetX, boss.y + (i % 2) * 20);
+            }
+            this.renderer.showBanner(`${boss.name} destroyed! +${points}`, this.simulation, 2500);
+        });
+        this.simulation.on('gameOver', (result) => this.gameOver(result));
+        
+        this.achievements.on('unlock', (achievement) => {
+            this.renderer.showToast(achievement);
+            this.audio.play('achievement');
+            this.hud.announce(`Achievement unlocked: ${achievement.name}`);
+        });
+        
         // Start the game loop
-        this.gameLoop();
+        requestAnimationFrame((time) => this.gameLoop(time));
+    }
+    
+    async loadLevel(url) {
+        const startButton = document.getElementById('startBtn');
+        startButton.disabled = true;
+        
+        try {
+            const level = await loadLevel(url, this.simulation.objectTypes);
+            this.simulation.setLevel(level);
+        } catch (error) {
+            console.error(`Could not load level ${url}, falling back to endless mode:`, error);
+        } finally {
+            startButton.disabled = false;
+        }
     }
     
-    handleMouseMove(e) {
+    handleAction(action) {
+        if (this.gameState === 'leaderboard' || this.gameState === 'achievements' || this.gameState === 'settings') {
+            if (action === 'pause' && this.gameState === 'settings') {
+                this.closeSettings();
+            } else if (action === 'pause') {
+                this.quitToMenu();
+            }
+            if (action === 'mute') this.toggleMute();
+            return;
+        }
+        
+        if (action === 'pause') {
+            if (this.gameState === 'playing') {
+                this.pauseGame();
+            } else if (this.gameState === 'paused') {
+                this.resumeGame();
+            }
+        } else if (action === 'mute') {
+            this.toggleMute();
+        } else if (action === 'hitboxes') {
+            this.renderer.showHitboxes = !this.renderer.showHitboxes;
+        } else if (action === 'start' || action === 'fire') {
+            if (this.gameState === 'start') {
+                this.startGame();
+            } else if (this.gameState === 'gameOver' && action === 'start') {
+                // Not on fire: it is often still held when the run ends, and would
+                // throw away a high score's name entry
+                this.restartGame();
+            }
+        }
+    }
+    
+    pauseGame() {
         if (this.gameState !== 'playing') return;
         
-        const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvas.width / rect.width;
-        this.mouseX = (e.clientX - rect.left) * scaleX;
+        this.gameState = 'paused';
+        this.renderer.paused = true;
+        this.audio.stopMusic();
+        this.hud.showPause();
         
-        // Constrain mouse position to canvas boundaries
-        this.mouseX = Math.max(this.player.width / 2, 
-                              Math.min(this.canvas.width - this.player.width / 2, this.mouseX));
+        // Pausing is also what happens when the tab is hidden or closed mid-run
+        this.achievements.save();
     }
     
-    startGame() {
+    resumeGame() {
+        if (this.gameState !== 'paused') return;
+        
         this.gameState = 'playing';
-        this.startScreen.classList.add('hidden');
-        this.resetGame();
+        this.renderer.paused = false;
+        this.audio.startMusic();
+        this.hud.hidePause();
     }
     
-    restartGame() {
-        this.gameState = 'playing';
-        this.gameOverScreen.classList.add('hidden');
-        this.resetGame();
+    quitToMenu() {
+        // Progress from an abandoned run still counts towards achievements
+        if (this.gameState === 'paused') {
+            this.achievements.save();
+        }
+        this.gameState = 'start';
+        this.renderer.paused = false;
+        this.audio.stopMusic();
+        this.hud.showStart();
     }
     
-    resetGame() {
-        // Reset all game variables
-        this.score = 0;
-        this.gameTime = 0;
-        this.lastTime = 0;
-        this.lastSpeedIncrease = 0;
-        this.currentSpeed = this.baseSpeed;
-        this.difficultyMultiplier = 1;
-        this.objectSpawnRate = 0.02;
-        
-        // Reset player position
-        this.player.x = this.canvas.width / 2;
-        this.player.y = this.canvas.height - 80;
-        
-        // Clear all objects
-        this.objects = [];
-        
-        // Update UI
-        this.updateUI();
+    startGame(seed = this.simulation.seed) {
+        this.hud.hideScreens();
+        this.resetGame(seed);
     }
     
-    updatePlayer() {
-        if (this.gameState !== 'playing') return;
-        
-        // Smooth horizontal movement following mouse
-        const targetX = this.mouseX;
-        const dx = targetX - this.player.x;
-        this.player.x += dx * 0.15; // Smooth interpolation
-        
-        // Ensure player stays within canvas bounds
-        this.player.x = Math.max(this.player.width / 2, 
-                                Math.min(this.canvas.width - this.player.width / 2, this.player.x));
+    restartGame(seed = this.simulation.seed) {
+        this.hud.hideScreens();
+        this.resetGame(seed);
     }
     
-    spawnObject() {
-        if (this.gameState !== 'playing') return;
-        
-        // Adjust spawn rate based on difficulty
-        const adjustedSpawnRate = this.objectSpawnRate * this.difficultyMultiplier;
-        
-        if (Math.random() < adjustedSpawnRate) {
-            // Select object type based on weighted probability
-            const rand = Math.random();
-            let cumulativeWeight = 0;
-            let selectedType = this.objectTypes[0];
-            
-            for (const type of this.objectTypes) {
-                cumulativeWeight += type.weight;
-                if (rand <= cumulativeWeight) {
-                    selectedType = type;
-                    break;
-                }
-            }
-            
-            const object = {
-                x: Math.random() * (this.canvas.width - 40) + 20,
-                y: -40,
-                width: 35,
-                height: 35,
-                speed: this.currentSpeed + Math.random() * 2,
-                emoji: selectedType.emoji,
-                type: selectedType.type,
-                rotation: Math.random() * Math.PI * 2
-            };
-            
-            this.objects.push(object);
-        }
+    resetGame(seed) {
+        this.gameState = 'playing';
+        this.renderer.paused = false;
+        this.accumulator = 0;
+        this.simulation.reset(seed);
+        this.recorder.reset();
+        this.recorder.recordSettings(this.controlSettings());
+        this.input.resetPointer();
+        this.hud.update(this.simulation);
+        this.audio.setLevel(this.simulation.level);
+        this.audio.startMusic();
     }
     
-    updateObjects() {
-        if (this.gameState !== 'playing') return;
-        
-        for (let i = this.objects.length - 1; i >= 0; i--) {
-            const obj = this.objects[i];
-            
-            // Move object down
-            obj.y += obj.speed;
-            
-            // Add slight rotation for visual effect
-            obj.rotation += 0.05;
-            
-            // Remove objects that are off screen
-            if (obj.y > this.canvas.height + 50) {
-                this.objects.splice(i, 1);
-                continue;
-            }
-            
-            // Check collision with player
-            if (this.checkCollision(this.player, obj)) {
-                if (obj.type === 'good') {
-                    // Collect star - add points
-                    this.score += 50;
-                    this.objects.splice(i, 1);
-                    this.createParticleEffect(obj.x, obj.y, '#FFD700');
-                } else {
-                    // Hit asteroid or UFO - game over
-                    this.gameOver();
-                    return;
-                }
-            }
-        }
+    toggleMute() {
+        this.settings.set('muted', !this.settings.get('muted'));
     }
     
-    checkCollision(rect1, rect2) {
-        // Simple bounding box collision detection with some padding for better gameplay
-        const padding = 5;
-        return rect1.x - rect1.width/2 + padding < rect2.x + rect2.width/2 - padding &&
-               rect1.x + rect1.width/2 - padding > rect2.x - rect2.width/2 + padding &&
-               rect1.y - rect1.height/2 + padding < rect2.y + rect2.height/2 - padding &&
-               rect1.y + rect1.height/2 - padding > rect2.y - rect2.height/2 + padding;
+    openSettings() {
+        if (this.gameState === 'settings') return;
+        this.stateBeforeSettings = this.gameState;
+        this.gameState = 'settings';
+        this.settingsPanel.show();
     }
     
-    createParticleEffect(x, y, color) {
-        // Simple particle effect for star collection
-        // This could be expanded with a proper particle system
-        const particles = [];
-        for (let i = 0; i < 8; i++) {
-            particles.push({
-                x: x,
-                y: y,
-                vx: (Math.random() - 0.5) * 10,
-                vy: (Math.random() - 0.5) * 10,
-                life: 30,
-                color: color
-            });
-        }
-        
-        // Animate particles (simplified)
-        const animateParticles = () => {
-            this.ctx.save();
-            particles.forEach((particle, index) => {
-                if (particle.life <= 0) {
-                    particles.splice(index, 1);
-                    return;
-                }
-                
-                particle.x += particle.vx;
-                particle.y += particle.vy;
-                particle.life--;
-                
-                this.ctx.globalAlpha = particle.life / 30;
-                this.ctx.fillStyle = particle.color;
-                this.ctx.fillRect(particle.x - 2, particle.y - 2, 4, 4);
-            });
-            this.ctx.restore();
-            
-            if (particles.length > 0) {
-                requestAnimationFrame(animateParticles);
-            }
+    closeSettings() {
+        if (this.gameState !== 'settings') return;
+        this.gameState = this.stateBeforeSettings;
+        this.settingsPanel.hide();
+    }
+    
+    // Simulation tuning derived from the sensitivity setting
+    controlSettings() {
+        const sensitivity = this.settings.get('sensitivity');
+        return {
+            playerSmoothing: Math.min(0.5, this.baseControls.playerSmoothing * sensitivity),
+            playerAcceleration: this.baseControls.playerAcceleration * sensitivity
         };
-        
-        animateParticles();
     }
     
-    updateDifficulty(currentTime) {
-        if (this.gameState !== 'playing') return;
-        
-        // Increase difficulty every 10 seconds
-        if (currentTime - this.lastSpeedIncrease >= this.speedIncreaseInterval) {
-            this.lastSpeedIncrease = currentTime;
-            this.difficultyMultiplier += 0.2;
-            this.currentSpeed += 0.5;
-            this.objectSpawnRate += 0.005;
-            
-            // Visual feedback for difficulty increase
-            this.showDifficultyIncrease();
+    applySetting(key, value) {
+        switch (key) {
+            case 'sensitivity': {
+                // Recorded too, so a replay steers exactly like the original run
+                const controls = this.controlSettings();
+                Object.assign(this.simulation.settings, controls);
+                if (this.gameState === 'playing' || this.gameState === 'paused') {
+                    this.recorder.recordSettings(controls);
+                }
+                break;
+            }
+            case 'masterVolume':
+                this.audio.setVolume('master', value);
+                break;
+            case 'musicVolume':
+                this.audio.setVolume('music', value);
+                break;
+            case 'sfxVolume':
+                this.audio.setVolume('sfx', value);
+                break;
+            case 'muted':
+                this.audio.setMuted(value);
+                this.hud.showMuted(value);
+                break;
+            case 'particleQuality':
+                this.renderer.particleQuality = value;
+                break;
+            case 'showFps':
+                this.renderer.showFps = value;
+                break;
+            case 'reducedMotion':
+                this.renderer.reducedMotion = value;
+                this.hud.setBodyClass('reduced-motion', value);
+                break;
+            case 'highContrast':
+                this.renderer.highContrast = value;
+                this.hud.setBodyClass('high-contrast', value);
+                break;
+            case 'touchControls':
+                this.input.touch.setScheme(value);
+                break;
         }
     }
     
-    showDifficultyIncrease() {
-        // Flash effect to indicate difficulty increase
-        this.canvas.style.boxShadow = '0 0 50px rgba(255, 0, 0, 0.8)';
-        setTimeout(() => {
-            this.canvas.style.boxShadow = '0 0 30px rgba(255, 255, 255, 0.2)';
-        }, 200);
+    gameOver(result) {
+        this.gameState = 'gameOver';
+        this.lastResult = result;
+        this.lastReplay = this.recorder.toJSON();
+        this.hud.showGameOver(result);
+        
+        // Any score might place globally, so ask for a name whenever a server is configured
+        const qualifiesGlobally = this.scores.enabled && result.score > 0;
+        if (qualifiesGlobally || this.leaderboard.qualifies(result.mode, result.score)) {
+            this.hud.showNameEntry(this.leaderboard.lastName);
+        }
     }
     
-    gameOver() {
-        this.gameState = 'gameOver';
-        this.finalScoreElement.textContent = this.score;
-        this.finalTimeElement.textContent = Math.floor(this.gameTime / 1000);
-        this.gameOverScreen.classList.remove('hidden');
+    // Records the last result locally and posts it to the score server
+    async submitScore(name) {
+        const result = this.lastResult;
+        if (!result) return;
+        this.lastResult = null;
+        
+        const localRank = this.leaderboard.submit(name, result);
+        if (!this.scores.enabled) {
+            this.hud.showRank(localRank, null, result.modeLabel);
+            return;
+        }
+        
+        this.hud.showRank(localRank, 'pending', result.modeLabel);
+        const response = await this.scores.submit(this.leaderboard.lastName || name, result, this.lastReplay);
+        this.hud.showRank(localRank, response || 'unreachable', result.modeLabel);
     }
     
-    updateUI() {
-        this.scoreElement.textContent = this.score;
-        this.timeElement.textContent = Math.floor(this.gameTime / 1000);
+    // Opens the high score tables on the current game mode, preferring the global table
+    showLeaderboard() {
+        this.gameState = 'leaderboard';
+        this.leaderboardModes = [{ mode: this.simulation.mode, label: this.simulation.modeLabel }];
+        this.loadLeaderboardTable(this.simulation.mode);
     }
     
-    render() {
-        // Clear canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    async loadLeaderboardTable(mode) {
+        this.leaderboardMode = mode;
+        this.addLeaderboardModes(this.leaderboard.getModes());
         
-        if (this.gameState === 'playing') {
-            // Draw player
-            this.drawEmoji(this.player.emoji, this.player.x, this.player.y, this.player.width);
-            
-            // Draw objects
-            this.objects.forEach(obj => {
-                this.ctx.save();
-                this.ctx.translate(obj.x, obj.y);
-                this.ctx.rotate(obj.rotation);
-                this.drawEmoji(obj.emoji, 0, 0, obj.width);
-                this.ctx.restore();
-            });
-            
-            // Draw speed indicator
-            this.drawSpeedIndicator();
+        // The local table shows straight away; the global one replaces it if the server answers
+        this.hud.showLeaderboard(this.leaderboardModes, mode, this.leaderboard.getEntries(mode), 'local');
+        const response = await this.scores.list(mode);
+        if (!response || this.gameState !== 'leaderboard' || this.leaderboardMode !== mode) {
+            return;
         }
+        this.addLeaderboardModes(response.modes);
+        this.hud.showLeaderboard(this.leaderboardModes, mode, response.entries, 'global');
     }
     
-    drawEmoji(emoji, x, y, size) {
-        this.ctx.font = `${size}px Arial`;
-        this.ctx.textAlign = 'center';
-        this.ctx.textBaseline = 'middle';
-        this.ctx.fillText(emoji, x, y);
+    addLeaderboardModes(modes) {
+        modes.forEach((option) => {
+            if (!this.leaderboardModes.some(({ mode }) => mode === option.mode)) {
+                this.leaderboardModes.push(option);
+            }
+        });
     }
     
-    drawSpeedIndicator() {
-        // Draw a small speed/difficulty indicator
-        const level = Math.floor(this.difficultyMultiplier);
-        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
-        this.ctx.font = '16px Arial';
-        this.ctx.textAlign = 'left';
-        this.ctx.fillText(`Level: ${level}`, 10, 30);
-        
-        // Speed bar
-        const barWidth = 100;
-        const barHeight = 8;
-        const speedPercent = Math.min((this.currentSpeed - this.baseSpeed) / 5, 1);
-        
-        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
-        this.ctx.fillRect(10, 40, barWidth, barHeight);
-        
-        this.ctx.fillStyle = `hsl(${120 - speedPercent * 120}, 100%, 50%)`;
-        this.ctx.fillRect(10, 40, barWidth * speedPercent, barHeight);
+    showAchievements() {
+        this.gameState = 'achievements';
+        this.hud.showAchievements(this.achievements.list());
     }
     
-    gameLoop(currentTime = 0) {
-        // Calculate delta time
-        const deltaTime = currentTime - this.lastTime;
+    // Simulation stats plus the time the last frame spent updating and rendering
+    getPerformanceStats() {
+        return { ...this.simulation.getPerformanceStats(), frameTime: this.frameTime, fps: this.fps };
+    }
+    
+    gameLoop(currentTime) {
+        const frameStart = performance.now();
+        
+        // Calculate delta time; time spent paused is never handed to the simulation
+        const deltaTime = this.lastTime ? currentTime - this.lastTime : SIMULATION_STEP_MS;
         this.lastTime = currentTime;
         
+        // Smoothed frame rate for the optional FPS counter
+        if (deltaTime > 0) {
+            this.fps += (1000 / deltaTime - this.fps) * 0.1;
+            this.renderer.fps = this.fps;
+        }
+        
+        // Sampled every frame so gamepad buttons work on the menus too
+        const input = this.input.sample();
+        
+        // Page scrolling and pinch zoom are suppressed only while a run is being played
+        const locked = this.gameState === 'playing';
+        if (locked !== this.input.touch.locked) {
+            this.input.touch.locked = locked;
+            this.hud.setBodyClass('touch-locked', locked);
+        }
+        
+        // Run as many fixed steps as the elapsed time covers; the remainder carries
+        // over to the next frame and sets how far rendering interpolates
         if (this.gameState === 'playing') {
-            // Update game time
-            this.gameTime += deltaTime;
-            
-            // Update game systems
-            this.updatePlayer();
-            this.spawnObject();
-            this.updateObjects();
-            this.updateDifficulty(this.gameTime);
-            this.updateUI();
+            this.accumulator += Math.min(deltaTime, MAX_FRAME_GAP_MS);
+            while (this.accumulator >= SIMULATION_STEP_MS && this.gameState === 'playing') {
+                const step = this.recorder.record(SIMULATION_STEP_MS, input);
+                this.simulation.step(step.dt, step.input);
+                this.accumulator -= SIMULATION_STEP_MS;
+            }
+            this.hud.update(this.simulation);
+            if (!this.benchmark) {
+                this.achievements.updateTime(this.simulation.gameTime);
+            }
         }
         
-        // Render game
-        this.render();
+        // Effects run on real time, skipping long gaps like the simulation does
+        this.renderer.update(Math.min(deltaTime, MAX_FRAME_GAP_MS), this.simulation, this.gameState);
+        
+        // Queue upcoming music notes
+        this.audio.update();
+        
+        // Render game, part-way between the last two steps
+        this.renderer.render(this.simulation, this.gameState, this.accumulator / SIMULATION_STEP_MS);
+        
+        this.frameTime = performance.now() - frameStart;
+        if (this.benchmark) {
+            this.renderer.performanceStats = this.getPerformanceStats();
+        }
         
         // Continue game loop
         requestAnimationFrame((time) => this.gameLoop(time));
@@ -357,13 +530,32 @@ class GalaxyDefender {
 
 // Error handling wrapper
 try {
+    // A ?seed= query parameter replays a specific run
+    const seedParam = new URLSearchParams(window.location.search).get('seed');
+    // A ?level= query parameter plays a scripted level file, e.g. assets/levels/asteroid-belt.json
+    const levelParam = new URLSearchParams(window.location.search).get('level');
+    // Global scores come from the page's own server (node backend/server.js) unless ?api= points elsewhere
+    const apiParam = new URLSearchParams(window.location.search).get('api');
+    const sameOrigin = window.location.protocol.startsWith('http') ? window.location.origin : null;
+    // ?debug=hitboxes starts with the collision shape overlay on
+    const debugParam = new URLSearchParams(window.location.search).get('debug');
+    // ?benchmark=<n> keeps n objects on screen with an invulnerable ship and shows frame timings
+    const benchmarkParam = Number(new URLSearchParams(window.location.search).get('benchmark')) || 0;
+    const options = {
+        seed: seedParam || null,
+        levelUrl: levelParam || null,
+        apiUrl: apiParam || sameOrigin,
+        showHitboxes: debugParam === 'hitboxes',
+        benchmark: benchmarkParam
+    };
+    
     // Initialize game when DOM is loaded
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', () => {
-            new GalaxyDefender();
+            new GalaxyDefender(options);
         });
     } else {
-        new GalaxyDefender();
+        new GalaxyDefender(options);
     }
 } catch (error) {
     console.error('Failed to initialize Galaxy Defender:', error);
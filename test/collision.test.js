@@ -0,0 +1,56 @@
+/**
+ * Galaxy Defender - Collision shape tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateHitbox, collides } = require('../frontend/src/collision.js');
+
+function entity(x, y, hitbox, options = {}) {
+    return { x, y, width: 40, height: 40, rotation: 0, hitbox, ...options };
+}
+
+const box = { shape: 'box', width: 1, height: 0.2 };
+const circle = { shape: 'circle', radius: 0.25 };
+const triangle = { shape: 'polygon', points: [[0, -0.5], [0.5, 0.5], [-0.5, 0.5]] };
+
+test('circles collide only when closer than their radii', () => {
+    assert.ok(collides(entity(0, 0, circle), entity(19, 0, circle)));
+    assert.ok(!collides(entity(0, 0, circle), entity(21, 0, circle)));
+});
+
+test('boxes are separated along the axes of their rotated edges', () => {
+    // A 40x8 bar above another: apart when flat, crossing once one is turned upright
+    const flat = entity(0, 0, box);
+    assert.ok(!collides(flat, entity(0, 15, box)));
+    assert.ok(collides(flat, entity(0, 15, box, { rotation: Math.PI / 2 })));
+});
+
+test('a circle next to a polygon corner is tested along the closest vertex axis', () => {
+    // Off the triangle's bottom-right corner the circle overlaps it along both
+    // neighbouring edge normals, so only the vertex axis can tell them apart
+    const shape = entity(0, 0, triangle);
+    assert.ok(!collides(shape, entity(28, 28, circle)));
+    assert.ok(collides(shape, entity(26, 26, circle)));
+});
+
+test('polygons only collide when no edge separates them', () => {
+    const a = entity(0, 0, triangle);
+    assert.ok(collides(a, entity(30, 0, triangle)));
+    assert.ok(!collides(a, entity(0, 41, triangle)));
+});
+
+test('a hitbox of several shapes collides through any of them', () => {
+    const dumbbell = entity(0, 0, [{ ...circle, x: -0.5 }, { ...circle, x: 0.5 }]);
+    assert.ok(collides(dumbbell, entity(20, 5, circle, { width: 10, height: 10 })));
+    assert.ok(!collides(dumbbell, entity(0, 0, circle, { width: 10, height: 10 })));
+});
+
+test('malformed hitboxes are rejected', () => {
+    assert.throws(() => validateHitbox([], 'ufo'), /no shapes/);
+    assert.throws(() => validateHitbox({ shape: 'star' }, 'ufo'), /unknown shape "star"/);
+    assert.throws(() => validateHitbox({ shape: 'circle', radius: 0 }, 'ufo'), /positive radius/);
+    assert.throws(() => validateHitbox({ shape: 'polygon', points: [[0, 0], [1, 0], [0, 1], [1, 1]] }, 'ufo'), /convex/);
+    assert.deepStrictEqual(validateHitbox(circle, 'ufo'), [circle]);
+});
@@ -0,0 +1,56 @@
+/**
+ * Galaxy Defender - Key binding tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { MemoryStorage } = require('../frontend/src/memory-storage.js');
+
+// input.js is a browser script; events are never dispatched here, so the page
+// only needs to accept listeners
+function loadInputManager() {
+    const events = { addEventListener() {} };
+    const window = { ...events, console, TouchControls: class {} };
+    window.window = window;
+    const context = vm.createContext(window);
+    for (const name of ['memory-storage.js', 'input.js']) {
+        const file = path.join(__dirname, '../frontend/src', name);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context);
+    }
+    const InputManager = vm.runInContext('InputManager', context);
+    return (storage) => new InputManager(events, { storage });
+}
+
+const createInput = loadInputManager();
+
+test('taking another action\'s last key swaps the two actions\' keys', () => {
+    const storage = new MemoryStorage();
+    const input = createInput(storage);
+    input.setBinding('fire', ['Enter', 'ArrowUp', 'KeyW']);
+    assert.deepStrictEqual([...input.bindings.start], ['Space']);
+    assert.deepStrictEqual([...input.bindings.fire], ['Enter', 'ArrowUp', 'KeyW']);
+
+    // The swap survives a reload instead of start falling back to its default
+    const reloaded = createInput(storage);
+    assert.deepStrictEqual([...reloaded.bindings.start], ['Space']);
+    assert.deepStrictEqual([...reloaded.bindings.fire], ['Enter', 'ArrowUp', 'KeyW']);
+});
+
+test('a key that is not an action\'s last is simply moved', () => {
+    const input = createInput(new MemoryStorage());
+    input.setBinding('left', ['ArrowLeft', 'KeyA', 'KeyW']);
+    assert.deepStrictEqual([...input.bindings.fire], ['Space', 'ArrowUp']);
+});
+
+test('an action cannot be left without a key', () => {
+    const input = createInput(new MemoryStorage());
+    const before = JSON.stringify(input.bindings);
+    assert.throws(() => input.setBinding('mute', []), /needs at least one key/);
+    // Nothing is given up in return for Enter, so start would be left keyless
+    assert.throws(() => input.setBinding('mute', ['KeyM', 'Enter']), /only key left for start/);
+    assert.strictEqual(JSON.stringify(input.bindings), before);
+});
@@ -0,0 +1,56 @@
+/**
+ * Galaxy Defender - Local leaderboard tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryStorage } = require('../frontend/src/memory-storage.js');
+const { Leaderboard } = require('../frontend/src/leaderboard.js');
+
+const KEY = 'galaxyDefenderLeaderboard';
+const LEGACY_KEY = 'galaxyDefenderHighScore';
+
+test('a legacy high score is migrated into the endless table', () => {
+    const storage = new MemoryStorage();
+    storage.setItem(LEGACY_KEY, '1234');
+
+    const leaderboard = new Leaderboard({ storage });
+    assert.deepStrictEqual(leaderboard.getEntries('endless').map((entry) => entry.score), [1234]);
+    assert.strictEqual(storage.getItem(LEGACY_KEY), null);
+    assert.strictEqual(JSON.parse(storage.getItem(KEY)).version, Leaderboard.SCHEMA_VERSION);
+});
+
+test('without a legacy score the migrated leaderboard is empty', () => {
+    const storage = new MemoryStorage();
+    const leaderboard = new Leaderboard({ storage });
+    assert.deepStrictEqual(leaderboard.getModes(), []);
+});
+
+test('current data loads unchanged', () => {
+    const storage = new MemoryStorage();
+    const first = new Leaderboard({ storage });
+    first.submit('Ada', { mode: 'endless', score: 50, time: 1000, level: 2, seed: 9 });
+
+    const reloaded = new Leaderboard({ storage });
+    assert.deepStrictEqual(reloaded.getEntries('endless'), first.getEntries('endless'));
+    assert.strictEqual(reloaded.lastName, 'Ada');
+});
+
+test('data of an unknown version is kept and never overwritten', () => {
+    const storage = new MemoryStorage();
+    const raw = JSON.stringify({ version: Leaderboard.SCHEMA_VERSION + 1, players: { Ada: [99] } });
+    storage.setItem(KEY, raw);
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        const leaderboard = new Leaderboard({ storage });
+        assert.ok(leaderboard.readOnly);
+        assert.strictEqual(leaderboard.submit('Bob', { mode: 'endless', score: 10, time: 1000, level: 1, seed: 1 }), 0);
+        leaderboard.clear();
+    } finally {
+        console.warn = warn;
+    }
+    assert.strictEqual(storage.getItem(KEY), raw);
+});
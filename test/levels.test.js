@@ -0,0 +1,89 @@
+/**
+ * Galaxy Defender - Level script validation tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const { GameSimulation } = require('../frontend/src/simulation.js');
+const { LevelFormatError, validateLevel } = require('../frontend/src/levels.js');
+
+const OBJECT_TYPES = GameSimulation.DEFAULT_OBJECT_TYPES;
+
+function level(group = {}, overrides = {}) {
+    return { waves: [{ groups: [{ type: 'star', ...group }] }], ...overrides };
+}
+
+function rejects(data, pathPattern) {
+    assert.throws(() => validateLevel(data, OBJECT_TYPES), (error) =>
+        error instanceof LevelFormatError && pathPattern.test(error.path));
+}
+
+test('the bundled levels are valid', () => {
+    const dir = path.join(__dirname, '../assets/levels');
+    for (const file of fs.readdirSync(dir).filter((name) => name.endsWith('.json'))) {
+        const data = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+        assert.strictEqual(validateLevel(data, OBJECT_TYPES), data, file);
+    }
+});
+
+test('a level needs waves of groups', () => {
+    assert.throws(() => validateLevel(null, OBJECT_TYPES), LevelFormatError);
+    rejects({ waves: [] }, /^waves$/);
+    rejects({ waves: [{ groups: [] }] }, /^waves\[0\]\.groups$/);
+});
+
+test('groups must name a known object type and formation', () => {
+    rejects(level({ type: 'comet' }), /groups\[0\]\.type$/);
+    rejects(level({ formation: 'spiral' }), /groups\[0\]\.formation$/);
+});
+
+test('lanes must fall inside the level', () => {
+    rejects(level({}, { lanes: 0 }), /^lanes$/);
+    rejects(level({ lane: 8 }), /groups\[0\]\.lanes$/);
+    rejects(level({ lanes: [1, 2] }, { lanes: 2 }), /groups\[0\]\.lanes$/);
+    assert.doesNotThrow(() => validateLevel(level({ lanes: [0, 1] }, { lanes: 2 }), OBJECT_TYPES));
+});
+
+test('waves and groups must be objects, and lanes an array', () => {
+    rejects({ waves: [null] }, /^waves\[0\]$/);
+    rejects({ waves: ['wave'] }, /^waves\[0\]$/);
+    rejects({ waves: [{ groups: [7] }] }, /groups\[0\]$/);
+    rejects(level({ lanes: 3 }), /groups\[0\]\.lanes$/);
+    rejects(level({ lanes: '0,1' }), /groups\[0\]\.lanes$/);
+});
+
+test('counts, intervals, speeds and delays must be finite and positive', () => {
+    for (const count of [0, -1, 1.5, '3', Infinity]) {
+        rejects(level({ count }), /groups\[0\]\.count$/);
+    }
+    for (const interval of [0, -100, NaN, Infinity, '500']) {
+        rejects(level({ interval }), /groups\[0\]\.interval$/);
+    }
+    rejects(level({ speed: 0 }), /groups\[0\]\.speed$/);
+    rejects(level({ at: -1 }), /groups\[0\]\.at$/);
+    rejects(level({}, { speed: -2 }), /^speed$/);
+    rejects({ waves: [{ delay: -1, groups: [{ type: 'star' }] }] }, /^waves\[0\]\.delay$/);
+    rejects({ waves: [{ speed: null, groups: [{ type: 'star' }] }] }, /^waves\[0\]\.speed$/);
+    assert.doesNotThrow(() => validateLevel({
+        speed: 2,
+        waves: [{ delay: 0, speed: 1.5, groups: [{ type: 'star', count: 3, interval: 200, at: 0, speed: 3 }] }]
+    }, OBJECT_TYPES));
+});
+
+test('the id must be a usable game mode', () => {
+    for (const id of ['', 'Asteroid Belt', 'a'.repeat(41), 'endless', 42]) {
+        rejects(level({}, { id }), /^id$/);
+    }
+    assert.doesNotThrow(() => validateLevel(level({}, { id: 'asteroid-belt-2' }), OBJECT_TYPES));
+});
+
+test('loop must be a boolean or an object', () => {
+    rejects(level({}, { loop: 'yes' }), /^loop$/);
+    rejects(level({}, { loop: null }), /^loop$/);
+    rejects(level({}, { loop: { from: 1 } }), /^loop\.from$/);
+    rejects(level({}, { loop: { speedBonus: -0.5 } }), /^loop\.speedBonus$/);
+    assert.doesNotThrow(() => validateLevel(level({}, { loop: { from: 0 } }), OBJECT_TYPES));
+});
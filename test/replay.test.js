@@ -0,0 +1,61 @@
+/**
+ * Galaxy Defender - Replay verification tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { GameSimulation } = require('../frontend/src/simulation.js');
+const { InputRecorder, ReplayError, replayRun, REPLAY_STEP_MS } = require('../frontend/src/replay.js');
+
+// Records a run that holds the ship still until it is destroyed
+function recordRun(seed) {
+    const simulation = new GameSimulation({ seed });
+    const recorder = new InputRecorder();
+    simulation.reset(seed);
+    while (simulation.state === 'playing') {
+        const step = recorder.record(REPLAY_STEP_MS, { targetX: 400 });
+        simulation.step(step.dt, step.input);
+    }
+    return { replay: recorder.toJSON(), score: simulation.score };
+}
+
+function rejects(frames, message, options = {}) {
+    assert.throws(() => replayRun(1, { version: 1, frames }, options), (error) =>
+        error instanceof ReplayError && message.test(error.message));
+}
+
+test('a recorded run replays to the same result', () => {
+    const { replay, score } = recordRun(3);
+    assert.strictEqual(replayRun(3, replay).score, score);
+});
+
+test('a replay comes back as the steps it took, merged like a recording', () => {
+    const { replay, score } = recordRun(3);
+    const [first, ...rest] = replay.frames;
+    const split = [{ settings: {} }, [...first.slice(0, 3), 1], [...first.slice(0, 3), first[3] - 1], ...rest];
+    const result = replayRun(3, { version: 1, frames: split });
+    assert.strictEqual(result.score, score);
+    assert.deepStrictEqual(result.replay, replay);
+    assert.strictEqual(replayRun(3, result.replay).score, score);
+});
+
+test('rejects steps other than the game step', () => {
+    rejects([[1000, 400, 0, 20]], /steps 1000 ms instead of 8 ms/);
+    rejects([[4, 400, 0]], /steps 4 ms/);
+});
+
+test('rejects over-long replays before simulating them', () => {
+    const started = Date.now();
+    rejects([[REPLAY_STEP_MS, 20, 0, 1e9]], /maximum run length/, { maxTime: 2 * 60 * 60 * 1000 });
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('rejects steering past full speed', () => {
+    rejects([[REPLAY_STEP_MS, 50, 2]], /steers past full speed/);
+    rejects([[REPLAY_STEP_MS, -1.01, 3]], /steers past full speed/);
+});
+
+test('rejects unknown flag bits', () => {
+    rejects([[REPLAY_STEP_MS, 400, 4]], /unknown flags/);
+});
@@ -0,0 +1,83 @@
+/**
+ * Galaxy Defender - Score server tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer } = require('../backend/server.js');
+const { GameSimulation } = require('../frontend/src/simulation.js');
+const { InputRecorder, REPLAY_STEP_MS } = require('../frontend/src/replay.js');
+
+function recordSubmission(seed) {
+    const simulation = new GameSimulation({ seed });
+    const recorder = new InputRecorder();
+    simulation.reset(seed);
+    while (simulation.state === 'playing') {
+        const step = recorder.record(REPLAY_STEP_MS, { targetX: 200, fire: true });
+        simulation.step(step.dt, step.input);
+    }
+    const { score, time, level } = simulation.getResult();
+    return { name: 'Tester', score, time, level, seed, mode: 'endless', replay: recorder.toJSON() };
+}
+
+// Starts a server on a free port with an empty score file; returns the scores API URL
+async function startServer(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'galaxy-defender-'));
+    const server = createServer({ dataFile: path.join(dir, 'scores.json') });
+    await new Promise((resolve) => server.listen(0, resolve));
+    t.after(() => {
+        server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    return `http://localhost:${server.address().port}/api/scores`;
+}
+
+function post(url, body) {
+    return fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+}
+
+test('the same run cannot be recorded twice', async (t) => {
+    const url = await startServer(t);
+    const submission = recordSubmission(5);
+    assert.strictEqual((await post(url, submission)).status, 201);
+
+    const again = await post(url, { ...submission, name: 'Someone else' });
+    assert.strictEqual(again.status, 409);
+    assert.match((await again.json()).error, /already been submitted/);
+});
+
+test('re-encoding a replay does not let the same run through again', async (t) => {
+    const url = await startServer(t);
+    const submission = recordSubmission(5);
+    assert.strictEqual((await post(url, submission)).status, 201);
+
+    const frames = submission.replay.frames;
+    const [dt, value, flags, repeat] = frames[0];
+    const variants = [
+        { ...submission.replay, nonce: 1 },
+        { ...submission.replay, frames: [{ settings: {} }, ...frames] },
+        { ...submission.replay, frames: [{ settings: { playerSmoothing: 0.15 } }, ...frames] },
+        { ...submission.replay, frames: [[dt, value, flags, 1], [dt, value, flags, repeat - 1], ...frames.slice(1)] },
+        { ...submission.replay, frames: [...frames.slice(0, -1), [...frames.at(-1).slice(0, 3), (frames.at(-1)[3] || 1) + 50]] }
+    ];
+    for (const replay of variants) {
+        const response = await post(url, { ...submission, replay });
+        assert.strictEqual(response.status, 409, JSON.stringify(replay).slice(0, 80));
+    }
+});
+
+test('the limit parameter is clamped to at least one row', async (t) => {
+    const url = await startServer(t);
+    await post(url, recordSubmission(5));
+
+    const response = await fetch(`${url}?mode=endless&limit=-5`);
+    assert.strictEqual((await response.json()).entries.length, 1);
+});
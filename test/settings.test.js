@@ -0,0 +1,88 @@
+/**
+ * Galaxy Defender - Settings tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { MemoryStorage } = require('../frontend/src/memory-storage.js');
+
+const KEY = 'galaxyDefenderSettings';
+
+// settings.js is a browser script, so it runs with memory-storage.js in a context
+// standing in for the page
+function loadSettings(window = {}) {
+    window.window = window;
+    window.console = console;
+    const context = vm.createContext(window);
+    for (const name of ['memory-storage.js', 'settings.js']) {
+        const file = path.join(__dirname, '../frontend/src', name);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context);
+    }
+    return vm.runInContext('Settings', context);
+}
+
+function quietly(fn) {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        console.warn = warn;
+    }
+}
+
+const Settings = loadSettings();
+
+test('values are checked against the schema', () => {
+    assert.ok(Settings.isValid('sensitivity', 1.5));
+    assert.ok(!Settings.isValid('sensitivity', 3));
+    assert.ok(!Settings.isValid('sensitivity', '1'));
+    assert.ok(Settings.isValid('muted', true));
+    assert.ok(!Settings.isValid('muted', 1));
+    assert.ok(Settings.isValid('particleQuality', 'low'));
+    assert.ok(!Settings.isValid('particleQuality', 'ultra'));
+    assert.ok(!Settings.isValid('unknown', true));
+});
+
+test('set refuses invalid values and leaves the setting unchanged', () => {
+    const settings = new Settings({ storage: new MemoryStorage() });
+    assert.throws(() => settings.set('masterVolume', 2), /Invalid value for setting masterVolume/);
+    assert.strictEqual(settings.get('masterVolume'), Settings.defaults().masterVolume);
+});
+
+test('only changed values are saved, and invalid saved values fall back to defaults', () => {
+    const storage = new MemoryStorage();
+    const settings = new Settings({ storage });
+    settings.set('muted', true);
+    assert.deepStrictEqual(JSON.parse(storage.getItem(KEY)), { version: Settings.VERSION, muted: true });
+
+    storage.setItem(KEY, JSON.stringify({ version: Settings.VERSION, muted: true, sfxVolume: -1, particleQuality: 'ultra' }));
+    const reloaded = new Settings({ storage });
+    assert.strictEqual(reloaded.get('muted'), true);
+    assert.strictEqual(reloaded.get('sfxVolume'), Settings.defaults().sfxVolume);
+    assert.strictEqual(reloaded.get('particleQuality'), Settings.defaults().particleQuality);
+});
+
+test('settings fall back to their defaults when storage is blocked', () => {
+    const window = {};
+    Object.defineProperty(window, 'localStorage', {
+        get() { throw new Error('SecurityError'); }
+    });
+    const BlockedSettings = loadSettings(window);
+
+    quietly(() => {
+        const settings = new BlockedSettings();
+        assert.deepStrictEqual({ ...settings.values }, { ...BlockedSettings.defaults() });
+        assert.doesNotThrow(() => settings.set('muted', true));
+
+        const stubbed = new BlockedSettings({
+            storage: { getItem() { throw new Error('SecurityError'); }, setItem() { throw new Error('SecurityError'); } }
+        });
+        assert.deepStrictEqual({ ...stubbed.values }, { ...BlockedSettings.defaults() });
+        assert.doesNotThrow(() => stubbed.save());
+    });
+});
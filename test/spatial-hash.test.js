@@ -0,0 +1,65 @@
+/**
+ * Galaxy Defender - Spatial hash tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SpatialHash } = require('../frontend/src/spatial-hash.js');
+const { SeededRandom } = require('../frontend/src/rng.js');
+
+function pairs(hash) {
+    const visited = [];
+    hash.forEachPair((a, b) => visited.push([a.id, b.id].sort((x, y) => x - y).join('-')));
+    return visited;
+}
+
+test('forEachPair visits two entities sharing several cells once', () => {
+    const hash = new SpatialHash(64);
+    // Both straddle the corner where four cells meet
+    hash.insert({ id: 1, x: 64, y: 64, width: 40, height: 40 });
+    hash.insert({ id: 2, x: 60, y: 70, width: 40, height: 40 });
+    hash.insert({ id: 3, x: 400, y: 400, width: 10, height: 10 });
+    assert.deepStrictEqual(pairs(hash), ['1-2']);
+});
+
+test('forEachPair visits exactly the pairs that share a cell', () => {
+    const hash = new SpatialHash(64);
+    const random = new SeededRandom(7);
+    const entities = [];
+    for (let id = 0; id < 60; id++) {
+        const size = 10 + random.next() * 100;
+        const entity = { id, x: random.next() * 600, y: random.next() * 600, width: size, height: size };
+        entities.push(entity);
+        hash.insert(entity);
+    }
+
+    const expected = [];
+    for (let i = 0; i < entities.length; i++) {
+        for (let j = i + 1; j < entities.length; j++) {
+            const a = hash.ranges.get(entities[i]);
+            const b = hash.ranges.get(entities[j]);
+            if (a.minX <= b.maxX && b.minX <= a.maxX && a.minY <= b.maxY && b.minY <= a.maxY) {
+                expected.push(`${i}-${j}`);
+            }
+        }
+    }
+
+    const visited = pairs(hash);
+    assert.strictEqual(new Set(visited).size, visited.length, 'a pair was visited twice');
+    assert.deepStrictEqual(visited.sort(), expected.sort());
+});
+
+test('removed entities are no longer paired or found', () => {
+    const hash = new SpatialHash(64);
+    const a = { id: 1, x: 10, y: 10, width: 20, height: 20 };
+    const b = { id: 2, x: 20, y: 20, width: 20, height: 20 };
+    hash.insert(a);
+    hash.insert(b);
+    // Moving after insertion does not stop it being removed from its old cells
+    b.x = 500;
+    hash.remove(b);
+    assert.deepStrictEqual(pairs(hash), []);
+    assert.deepStrictEqual(hash.query(a), []);
+    assert.strictEqual(hash.size, 1);
+});
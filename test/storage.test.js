@@ -0,0 +1,65 @@
+/**
+ * Galaxy Defender - Blocked storage tests
+ * Run with: node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MemoryStorage, browserStorage } = require('../frontend/src/memory-storage.js');
+const { Leaderboard } = require('../frontend/src/leaderboard.js');
+const { Achievements } = require('../frontend/src/achievements.js');
+
+// Storage that refuses every access, as browsers do when site data is blocked
+const blockedStorage = {
+    getItem() { throw new Error('SecurityError'); },
+    setItem() { throw new Error('SecurityError'); },
+    removeItem() { throw new Error('SecurityError'); }
+};
+
+function quietly(fn) {
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        console.warn = warn;
+    }
+}
+
+test('browserStorage falls back to memory when localStorage is blocked', () => {
+    const storage = quietly(() => {
+        const restore = Object.getOwnPropertyDescriptor(globalThis, 'localStorage');
+        Object.defineProperty(globalThis, 'localStorage', {
+            configurable: true,
+            get() { throw new Error('SecurityError'); }
+        });
+        try {
+            return browserStorage();
+        } finally {
+            if (restore) Object.defineProperty(globalThis, 'localStorage', restore);
+            else delete globalThis.localStorage;
+        }
+    });
+    assert.ok(storage instanceof MemoryStorage);
+    storage.setItem('key', 1);
+    assert.strictEqual(storage.getItem('key'), '1');
+    assert.strictEqual(storage.getItem('missing'), null);
+});
+
+test('the leaderboard starts empty and keeps working on blocked storage', () => {
+    quietly(() => {
+        const leaderboard = new Leaderboard({ storage: blockedStorage });
+        assert.deepStrictEqual(leaderboard.getModes(), []);
+        assert.doesNotThrow(() => leaderboard.save());
+    });
+});
+
+test('achievements start locked and keep working on blocked storage', () => {
+    quietly(() => {
+        const achievements = new Achievements({ storage: blockedStorage });
+        assert.strictEqual(achievements.unlockedCount, 0);
+        achievements.add('totalStars', 1);
+        assert.doesNotThrow(() => achievements.check());
+        assert.ok(achievements.isUnlocked('firstStar'));
+    });
+});